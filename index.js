@@ -4,6 +4,27 @@ const { ethers } = require("ethers");
 const fs = require("fs").promises;
 const express = require("express");
 const path = require("path");
+const crypto = require("crypto");
+const { parseArgs } = require("util");
+const {
+  formatNumber,
+  formatStatNumber,
+  renderError,
+  renderProposalPage,
+  renderProposalsPage,
+  renderDelegatePage,
+  renderDriftPage,
+  renderReasonsPage,
+  renderDelegateReasonsPage,
+  renderComparePage,
+  generateVoteRow,
+  generateDelegatorsRow,
+  generateStatsGrid,
+  generateTimelineChart,
+  pageUrl,
+} = require("./templates");
+const { REPORT_FORMATS, formatProposalReport } = require("./report");
+const { openStore, importJSONCache } = require("./store");
 
 // Config
 const config = {
@@ -12,45 +33,184 @@ const config = {
     process.env.GOVERNOR_ADDRESS ||
     "0x323a76393544d5ecca80cd6ef2a560c6a395b7e3",
   CACHE_DIR: process.env.CACHE_DIR || "./cache",
+  DATABASE_FILE:
+    process.env.DATABASE_FILE ||
+    path.join(process.env.CACHE_DIR || "./cache", "tracker.db"),
   PORT: process.env.PORT || 3000,
   CACHE_DURATION: process.env.CACHE_DURATION || 3600, // in seconds
+  ACTIVE_CACHE_DURATION: process.env.ACTIVE_CACHE_DURATION || 60, // in seconds, for proposals still being voted on
+  ADMIN_TOKEN: process.env.ADMIN_TOKEN || "", // enables /admin/cache when set
+  // Comma-separated fallback endpoints, tried in order after RPC_URL
+  RPC_URLS: (process.env.RPC_URLS || "")
+    .split(",")
+    .map((url) => url.trim())
+    .filter((url) => url.length > 0),
+  RPC_TIMEOUT: process.env.RPC_TIMEOUT || 30000, // in milliseconds
+  RPC_HEALTH_INTERVAL: process.env.RPC_HEALTH_INTERVAL || 60, // in seconds
+  LIVE_POLL_INTERVAL: process.env.LIVE_POLL_INTERVAL || 12, // in seconds
+  ALERTS_FILE: process.env.ALERTS_FILE || "alerts.json",
+  ENS_CACHE_TTL: process.env.ENS_CACHE_TTL || 86400, // in seconds
+  ENS_CONCURRENCY: process.env.ENS_CONCURRENCY || 5, // parallel ENS lookups
+  DELEGATES_LIMIT: process.env.DELEGATES_LIMIT || 100, // delegates kept in the registry
+  DELEGATES_REBUILD_INTERVAL: process.env.DELEGATES_REBUILD_INTERVAL || 0, // in hours, 0 disables
+  DRIFT_POWER_THRESHOLD: process.env.DRIFT_POWER_THRESHOLD || 1000, // voting power change worth reporting
+  DRIFT_RANK_THRESHOLD: process.env.DRIFT_RANK_THRESHOLD || 5, // rank change worth reporting
+  DAOS_FILE: process.env.DAOS_FILE || "daos.json",
+  DEFAULT_DAO: process.env.DEFAULT_DAO || "ens",
+  RPC_MODE: process.env.RPC_MODE || "live", // "record" or "replay" JSON-RPC traffic
+  RPC_FIXTURE:
+    process.env.RPC_FIXTURE || "test/fixtures/rpc-synthetic-proposal.json",
 };
 
 const governorABI = [
   "function proposalSnapshot(uint256 proposalId) view returns (uint256)",
+  "function proposalDeadline(uint256 proposalId) view returns (uint256)",
   "function getVotes(address account, uint256 blockNumber) view returns (uint256)",
+  "function state(uint256 proposalId) view returns (uint8)",
+  "function quorum(uint256 blockNumber) view returns (uint256)",
   "event VoteCast(address indexed voter, uint256 proposalId, uint8 support, uint256 weight, string reason)",
+  "event VoteCastWithParams(address indexed voter, uint256 proposalId, uint8 support, uint256 weight, string reason, bytes params)",
+  "event ProposalCreated(uint256 proposalId, address proposer, address[] targets, uint256[] values, string[] signatures, bytes[] calldatas, uint256 startBlock, uint256 endBlock, string description)",
 ];
 
 // Update the constants at the top
-const DEFAULT_START_BLOCK = 21723989; // Known proposal block
 const CHUNK_SIZE = 100000; // Number of blocks per request
 const DEFAULT_PROPOSAL_ID =
   "31309365093913580207991288430108338667724061355449265288906484597789511363394"; // New proposal ID
 const VOTE_CAST_EVENT =
   "0xb8e138887d0aa13bab447e82de9d5c1777041ecd21ca36ba824ff1e6c07ddda4"; // Actual event signature from the transaction
+const VOTE_CAST_WITH_PARAMS_EVENT =
+  "0xe2babfbac5889a709b63bb7f598b324e08bc5a4fb9ec647fb3cbc9ec07eb8712"; // castVoteWithReasonAndParams on newer governors
+// Either vote event, as the first topic of a log filter
+const VOTE_EVENTS = [VOTE_CAST_EVENT, VOTE_CAST_WITH_PARAMS_EVENT];
+
+// Governor ProposalState enum, indexed by the value returned from state()
+const PROPOSAL_STATES = [
+  "Pending",
+  "Active",
+  "Canceled",
+  "Defeated",
+  "Succeeded",
+  "Queued",
+  "Expired",
+  "Executed",
+];
 
 // Add a debug flag at the top with the other constants
 const DEBUG_MODE = false; // Back to using cache
 
-// Add quorum constant at the top with other constants
+// Offline fallback when the governor's quorum() can't be read
 const QUORUM_VOTES = 1_000_000; // 1 million votes required for quorum
 
-// Add after other constants
-const DELEGATES_FILE = "delegates.json";
+// Proposal states that can no longer change
+const FINAL_PROPOSAL_STATES = ["Canceled", "Defeated", "Expired", "Executed"];
+const REPORT_TOP_VOTERS = 5; // For and Against voters listed in a report
+const REPORT_NON_VOTERS = 10; // Largest outstanding delegates listed in a report
+const LEADERBOARD_DEFAULT_LIMIT = 25;
+const LEADERBOARD_MAX_LIMIT = 100;
+const DELEGATOR_BATCH_SIZE = 100; // Delegator addresses per Transfer log filter
+
+// Progress messages from loading chain data. The report command sends them to
+// stderr, keeping stdout for the report itself.
+let progressStream = process.stdout;
+
+function logProgress(message) {
+  progressStream.write(`${message}\n`);
+}
 
-// Add ENS token contract details near the top with other constants
-const ENS_TOKEN_ADDRESS = "0xC18360217D8F7Ab5e7c516566761Ea12Ce7F9D72";
-const ENS_TOKEN_ABI = [
+// ERC20Votes token interface shared by every DAO's governance token
+const TOKEN_ABI = [
   "function balanceOf(address account) view returns (uint256)",
   "function delegates(address account) view returns (address)",
   "function getPastVotes(address account, uint256 blockNumber) view returns (uint256)",
+  "function getVotes(address account) view returns (uint256)",
+  "event DelegateChanged(address indexed delegator, address indexed fromDelegate, address indexed toDelegate)",
+  "event DelegateVotesChanged(address indexed delegate, uint256 previousBalance, uint256 newBalance)",
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
 ];
 
+// Built-in ENS DAO profile; more Governor/ERC20Votes DAOs can be added in daos.json
+const ENS_DAO = {
+  id: "ens",
+  name: "ENS DAO",
+  governor: config.GOVERNOR_ADDRESS,
+  token: "0xC18360217D8F7Ab5e7c516566761Ea12Ce7F9D72",
+  startBlock: 13533772, // Governor deployment block, where proposal discovery starts
+  tokenStartBlock: 13533418, // ENS token deployment block
+  delegatesFile: "delegates.json",
+  explorerUrl: "https://etherscan.io",
+  defaultProposal: DEFAULT_PROPOSAL_ID,
+};
+
+let daoProfiles = null; // Promise of a Map from DAO id to profile
+
+// Load the DAO profiles once: the built-in ENS profile plus any from DAOS_FILE
+function loadDAOProfiles() {
+  if (!daoProfiles) {
+    daoProfiles = fs
+      .readFile(config.DAOS_FILE, "utf8")
+      .then((data) => JSON.parse(data).daos || [])
+      .catch((error) => {
+        if (error.code !== "ENOENT") {
+          console.error("Error loading DAO profiles:", error);
+        }
+        return [];
+      })
+      .then((daos) => {
+        const profiles = new Map([[ENS_DAO.id, ENS_DAO]]);
+        daos.forEach((dao) => {
+          if (!dao.id || !dao.governor || !dao.token || !dao.startBlock) {
+            console.warn(
+              `Skipping DAO profile ${dao.id}: id, governor, token and startBlock are required`
+            );
+            return;
+          }
+          // The id names the DAO's cache directory
+          if (!/^[a-z0-9_-]+$/i.test(dao.id)) {
+            console.warn(
+              `Skipping DAO profile ${dao.id}: id may only contain letters, digits, "-" and "_"`
+            );
+            return;
+          }
+          profiles.set(dao.id, {
+            name: dao.id,
+            tokenStartBlock: dao.startBlock,
+            // Built registries are local data, so they live with the caches
+            delegatesFile: path.join(
+              config.CACHE_DIR,
+              daoCacheFile(dao, "delegates.json")
+            ),
+            explorerUrl: "https://etherscan.io",
+            defaultProposal: null,
+            ...dao,
+          });
+        });
+        return profiles;
+      });
+  }
+  return daoProfiles;
+}
+
+async function getDAO(daoId = config.DEFAULT_DAO) {
+  const profiles = await loadDAOProfiles();
+  const dao = profiles.get(daoId || config.DEFAULT_DAO);
+  if (!dao) {
+    const error = new Error(`Unknown DAO "${daoId}"`);
+    error.status = 400;
+    throw error;
+  }
+  return dao;
+}
+
+// Each DAO keeps its cache files in its own subdirectory so profiles never collide
+function daoCacheFile(dao, fileName) {
+  return path.join(dao.id, fileName);
+}
+
 // Update the loadDelegates function to handle the JSON structure
-async function loadDelegates() {
+async function loadDelegates(dao) {
   try {
-    const data = await fs.readFile(DELEGATES_FILE, "utf8");
+    const data = await fs.readFile(dao.delegatesFile, "utf8");
     const parsed = JSON.parse(data);
     return parsed.delegates || []; // Return the delegates array from the JSON structure
   } catch (error) {
@@ -60,41 +220,30 @@ async function loadDelegates() {
 }
 
 // Add this new function to get delegate snapshot
-async function getDelegateSnapshot(proposalId, snapshotBlock, provider) {
+async function getDelegateSnapshot(dao, proposalId, snapshotBlock, provider) {
   try {
     // Check for existing snapshot - this data is immutable once created
-    const snapshotFile = path.join(
-      config.CACHE_DIR,
-      `snapshot-${proposalId}.json`
-    );
-    try {
-      const cached = await fs.readFile(snapshotFile, "utf8");
-      console.log(`Using cached immutable snapshot for proposal ${proposalId}`);
-      return JSON.parse(cached);
-    } catch (err) {
-      if (err.code !== "ENOENT") throw err;
-      // Only continue if file doesn't exist
+    const stored = getStore().getDelegateSnapshot(dao.id, proposalId);
+    if (stored) {
+      logProgress(`Using stored immutable snapshot for proposal ${proposalId}`);
+      return stored;
     }
 
     // If we get here, we need to create the snapshot for the first time
-    console.log(
+    logProgress(
       `Creating new immutable snapshot for proposal ${proposalId} at block ${snapshotBlock}...`
     );
-    const delegates = await loadDelegates();
+    const delegates = await loadDelegates(dao);
 
-    // Create ENS token contract instance
-    const ensToken = new ethers.Contract(
-      ENS_TOKEN_ADDRESS,
-      ENS_TOKEN_ABI,
-      provider
-    );
+    // Create the DAO's token contract instance
+    const token = new ethers.Contract(dao.token, TOKEN_ABI, provider);
 
     // Get voting power for each delegate at snapshot block
     const snapshot = await Promise.all(
       delegates.map(async (delegate) => {
         try {
           // Get actual voting power at snapshot block
-          const votingPower = await ensToken.getPastVotes(
+          const votingPower = await token.getPastVotes(
             delegate.address,
             snapshotBlock
           );
@@ -138,12 +287,9 @@ async function getDelegateSnapshot(proposalId, snapshotBlock, provider) {
 
     // Log significant changes
     snapshotWithRanks
-      .filter(
-        (d) =>
-          Math.abs(d.votingPowerChange) > 1000 || Math.abs(d.rankChange) > 5
-      )
+      .filter((d) => isSignificantPowerChange(d) || isSignificantRankChange(d))
       .forEach((d) => {
-        console.log(`Significant change for ${d.address}:
+        logProgress(`Significant change for ${d.address}:
           Voting Power: ${d.expectedVotingPower} -> ${d.actualVotingPower} (${
           d.votingPowerChange > 0 ? "+" : ""
         }${d.votingPowerChange.toFixed(2)})
@@ -152,12 +298,9 @@ async function getDelegateSnapshot(proposalId, snapshotBlock, provider) {
         })`);
       });
 
-    // Cache the snapshot (this will never need to be updated)
-    await fs.writeFile(
-      snapshotFile,
-      JSON.stringify(snapshotWithRanks, null, 2)
-    );
-    console.log(`Immutable snapshot cached for proposal ${proposalId}`);
+    // Store the snapshot (this will never need to be updated)
+    getStore().saveDelegateSnapshot(dao.id, proposalId, snapshotWithRanks);
+    logProgress(`Immutable snapshot stored for proposal ${proposalId}`);
 
     return snapshotWithRanks;
   } catch (error) {
@@ -166,901 +309,2704 @@ async function getDelegateSnapshot(proposalId, snapshotBlock, provider) {
   }
 }
 
-// Update the number formatting function
-function formatNumber(number) {
-  const num = parseFloat(number);
-  if (num >= 1000) {
-    return `${(num / 1000).toFixed(1)}K`;
-  }
-  return new Intl.NumberFormat("en-US", {
-    maximumFractionDigits: 2,
-    minimumFractionDigits: 2,
-  }).format(num);
+function isSignificantPowerChange(delegate) {
+  return (
+    Math.abs(delegate.votingPowerChange) > Number(config.DRIFT_POWER_THRESHOLD)
+  );
 }
 
-// For stats, let's keep the full numbers but add K notation in parentheses for large values
-function formatStatNumber(number) {
-  const num = parseFloat(number);
-  const fullFormat = new Intl.NumberFormat("en-US", {
-    maximumFractionDigits: 2,
-    minimumFractionDigits: 2,
-  }).format(num);
+function isSignificantRankChange(delegate) {
+  return Math.abs(delegate.rankChange) > Number(config.DRIFT_RANK_THRESHOLD);
+}
 
-  if (num >= 1000) {
-    return `${fullFormat} (${(num / 1000).toFixed(1)}K)`;
-  }
-  return fullFormat;
+// How the snapshot differs from delegates.json: who gained or lost voting power,
+// who moved in rank, and who no longer holds any voting power at all
+function calculateDriftReport(delegateSnapshot) {
+  const droppedOut = delegateSnapshot.filter(
+    (d) => d.expectedVotingPower > 0 && d.actualVotingPower === 0
+  );
+  const remaining = delegateSnapshot.filter((d) => !droppedOut.includes(d));
+
+  return {
+    thresholds: {
+      votingPower: Number(config.DRIFT_POWER_THRESHOLD),
+      rank: Number(config.DRIFT_RANK_THRESHOLD),
+    },
+    totalDelegates: delegateSnapshot.length,
+    gained: remaining
+      .filter((d) => d.votingPowerChange > 0 && isSignificantPowerChange(d))
+      .sort((a, b) => b.votingPowerChange - a.votingPowerChange),
+    lost: remaining
+      .filter((d) => d.votingPowerChange < 0 && isSignificantPowerChange(d))
+      .sort((a, b) => a.votingPowerChange - b.votingPowerChange),
+    rankMovers: remaining
+      .filter(isSignificantRankChange)
+      .sort((a, b) => Math.abs(b.rankChange) - Math.abs(a.rankChange)),
+    droppedOut: droppedOut.sort((a, b) => a.rank - b.rank),
+  };
 }
 
-async function ensureCacheDir() {
-  try {
-    await fs.mkdir(config.CACHE_DIR, { recursive: true });
-  } catch (err) {
-    if (err.code !== "EEXIST") throw err;
+// Read the governor's quorum at the snapshot block, stored with the proposal
+async function getQuorumAtSnapshot(dao, proposalId, snapshotBlock, provider) {
+  // Quorum at a past block is immutable, just like the delegate snapshot
+  const details = getStore().getProposalDetails(dao.id, proposalId);
+  if (details && details.quorum) {
+    return details.quorum;
   }
-}
 
-async function getCachedData(proposalId) {
   try {
-    const data = await fs.readFile(
-      path.join(config.CACHE_DIR, `proposal-${proposalId}.json`),
-      "utf8"
+    const governorContract = new ethers.Contract(
+      dao.governor,
+      governorABI,
+      provider
     );
-    const parsed = JSON.parse(data);
+    const quorum = await governorContract.quorum(snapshotBlock);
+    const result = {
+      votes: parseFloat(ethers.formatUnits(quorum, 18)),
+      block: Number(snapshotBlock),
+      source: "governor",
+    };
 
-    // Check if cache is expired
-    if (parsed.timestamp + config.CACHE_DURATION * 1000 < Date.now()) {
-      return null;
-    }
+    getStore().saveQuorum(dao.id, proposalId, result);
+    logProgress(`Quorum at block ${snapshotBlock}: ${result.votes}`);
 
-    return parsed.data;
-  } catch (err) {
-    if (err.code === "ENOENT") return null;
-    throw err;
+    return result;
+  } catch (error) {
+    // Don't store the fallback so the next refresh retries the governor
+    console.warn(
+      `Failed to read quorum at block ${snapshotBlock}, using fallback:`,
+      error.message
+    );
+    return fallbackQuorum(snapshotBlock);
   }
 }
 
-async function cacheData(proposalId, data) {
-  const cacheObject = {
-    timestamp: Date.now(),
-    data: data,
+function fallbackQuorum(snapshotBlock) {
+  return {
+    votes: QUORUM_VOTES,
+    block: Number(snapshotBlock),
+    source: "fallback",
   };
-
-  await fs.writeFile(
-    path.join(config.CACHE_DIR, `proposal-${proposalId}.json`),
-    JSON.stringify(cacheObject, null, 2)
-  );
-}
-
-// Update the resolveENSName function to include HTML formatting
-async function resolveENSName(address, provider) {
-  try {
-    const ensName = await provider.lookupAddress(address);
-    return ensName
-      ? `<span class="ens-name">${ensName}</span> <span class="address">(${address})</span>`
-      : `<span class="address">${address}</span>`;
-  } catch (error) {
-    console.warn(`Failed to resolve ENS for ${address}:`, error.message);
-    return `<span class="address">${address}</span>`;
-  }
 }
 
-// Update the getVotingData function to use the new snapshot
-async function getVotingData(proposalId) {
-  try {
-    // Check cache first
-    if (!DEBUG_MODE) {
-      const cached = await getCachedData(proposalId);
-      if (cached) {
-        return cached;
-      }
-    }
+// Token holders whose delegation backed `delegate` at a proposal's snapshot,
+// rebuilt from the token's DelegateChanged and Transfer logs. Their balances
+// should add up to the delegate's getPastVotes; `unexplained` is the remainder.
+async function getSnapshotDelegators(dao, proposalId, delegate, rpcUrl) {
+  const provider = createProvider(rpcUrl);
+  const store = getStore();
+  const details = store.getProposalDetails(dao.id, proposalId);
+  const snapshotBlock =
+    details && details.snapshotBlock !== null
+      ? details.snapshotBlock
+      : Number(
+          await new ethers.Contract(
+            dao.governor,
+            governorABI,
+            provider
+          ).proposalSnapshot(proposalId)
+        );
 
-    const provider = new ethers.JsonRpcProvider(config.RPC_URL);
-    const governorContract = new ethers.Contract(
-      config.GOVERNOR_ADDRESS,
-      governorABI,
+  // Delegations at a past block never change, so a complete result is kept
+  let backing = store.getDelegateBacking(dao.id, proposalId, delegate);
+  let complete = true;
+  if (!backing) {
+    const built = await buildDelegateBacking(
+      dao,
+      delegate,
+      snapshotBlock,
       provider
     );
-
-    // Get snapshot block
-    const snapshotBlock = await governorContract.proposalSnapshot(proposalId);
-    if (snapshotBlock === 0n) {
-      throw new Error(`Proposal ${proposalId} does not exist`);
+    backing = built.backing;
+    complete = built.failedRanges.length === 0;
+    if (complete) {
+      store.saveDelegateBacking(dao.id, proposalId, delegate, backing);
+    } else {
+      console.warn(
+        `Delegators of ${delegate} are missing ${built.failedRanges.length} block ranges`
+      );
     }
-    console.log(`Snapshot block: ${snapshotBlock}`);
+  }
 
-    // Get delegate snapshot with actual voting power at snapshot block
-    const delegatesAtSnapshot = await getDelegateSnapshot(
-      proposalId,
+  const pastVotes = ethers.parseUnits(backing.pastVotes, 18);
+  const delegated = backing.delegators.reduce(
+    (total, delegator) => total + ethers.parseUnits(delegator.balance, 18),
+    0n
+  );
+  const delegators = await Promise.all(
+    backing.delegators.map(async (delegator) => {
+      const balance = parseFloat(delegator.balance);
+      return {
+        address: delegator.address,
+        ensName: (await resolveIdentity(delegator.address, provider)).name,
+        balance,
+        share: pastVotes > 0n ? balance / parseFloat(backing.pastVotes) : 0,
+      };
+    })
+  );
+
+  return {
+    delegate: ethers.getAddress(delegate),
+    snapshotBlock,
+    pastVotes: parseFloat(backing.pastVotes),
+    delegatedTotal: parseFloat(ethers.formatUnits(delegated, 18)),
+    unexplained: parseFloat(ethers.formatUnits(pastVotes - delegated, 18)),
+    matches: pastVotes === delegated,
+    complete,
+    delegators,
+  };
+}
+
+async function buildDelegateBacking(dao, delegate, snapshotBlock, provider) {
+  const token = new ethers.Contract(dao.token, TOKEN_ABI, provider);
+  const delegateChangedTopic =
+    token.interface.getEvent("DelegateChanged").topicHash;
+  const transferTopic = token.interface.getEvent("Transfer").topicHash;
+  const delegateTopic = ethers.zeroPadValue(delegate, 32);
+  const scan = (topics) =>
+    getLogsInChunks(
+      provider,
+      topics,
+      dao.tokenStartBlock,
       snapshotBlock,
-      provider
+      dao.token
     );
-    console.log(
-      `Found ${delegatesAtSnapshot.length} delegates with voting power`
+
+  // Every change of delegate names the previous one, so a holder's latest
+  // event to or from this delegate says whether they still delegate to it
+  const delegatedTo = await scan([
+    delegateChangedTopic,
+    null,
+    null,
+    delegateTopic,
+  ]);
+  const delegatedAway = await scan([delegateChangedTopic, null, delegateTopic]);
+  const failedRanges = [
+    ...delegatedTo.failedRanges,
+    ...delegatedAway.failedRanges,
+  ];
+
+  const current = new Map();
+  [...delegatedTo.events, ...delegatedAway.events]
+    .sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index)
+    .forEach((event) => {
+      const parsed = token.interface.parseLog({
+        topics: event.topics,
+        data: event.data,
+      });
+      current.set(
+        parsed.args.delegator,
+        parsed.args.toDelegate.toLowerCase() === delegate.toLowerCase()
+      );
+    });
+  const delegatorAddresses = [...current.keys()].filter((address) =>
+    current.get(address)
+  );
+
+  // Balances at the snapshot from each delegator's transfers in and out
+  const balances = new Map(delegatorAddresses.map((address) => [address, 0n]));
+  for (
+    let start = 0;
+    start < delegatorAddresses.length;
+    start += DELEGATOR_BATCH_SIZE
+  ) {
+    const topics = delegatorAddresses
+      .slice(start, start + DELEGATOR_BATCH_SIZE)
+      .map((address) => ethers.zeroPadValue(address, 32));
+    const sent = await scan([transferTopic, topics]);
+    const received = await scan([transferTopic, null, topics]);
+    failedRanges.push(...sent.failedRanges, ...received.failedRanges);
+
+    [...sent.events, ...received.events].forEach((event) => {
+      const parsed = token.interface.parseLog({
+        topics: event.topics,
+        data: event.data,
+      });
+      const { from, to, value } = parsed.args;
+      if (balances.has(from)) balances.set(from, balances.get(from) - value);
+      if (balances.has(to)) balances.set(to, balances.get(to) + value);
+    });
+  }
+
+  const pastVotes = await token.getPastVotes(delegate, snapshotBlock);
+  logProgress(
+    `Found ${delegatorAddresses.length} delegators of ${delegate} at block ${snapshotBlock}`
+  );
+
+  return {
+    failedRanges,
+    backing: {
+      pastVotes: ethers.formatUnits(pastVotes, 18),
+      delegators: [...balances.entries()]
+        .filter(([, balance]) => balance > 0n)
+        .sort(([, a], [, b]) => (b > a ? 1 : b < a ? -1 : 0))
+        .map(([address, balance]) => ({
+          address,
+          balance: ethers.formatUnits(balance, 18),
+        })),
+    },
+  };
+}
+
+// Rebuild a DAO's delegate registry from its token's delegation events
+async function rebuildDelegates(dao, rpcUrl, options = {}) {
+  const provider = createProvider(rpcUrl);
+  const token = new ethers.Contract(dao.token, TOKEN_ABI, provider);
+  const governorContract = new ethers.Contract(
+    dao.governor,
+    governorABI,
+    provider
+  );
+
+  const currentBlock = await provider.getBlockNumber();
+  logProgress(`Indexing delegation events up to block ${currentBlock}...`);
+
+  const delegationTopics = [
+    [
+      token.interface.getEvent("DelegateVotesChanged").topicHash,
+      token.interface.getEvent("DelegateChanged").topicHash,
+    ],
+  ];
+  const delegationLogs = await getLogsInChunks(
+    provider,
+    delegationTopics,
+    dao.tokenStartBlock,
+    currentBlock,
+    dao.token
+  );
+  const voteLogs = await getLogsInChunks(
+    provider,
+    [VOTE_EVENTS],
+    dao.startBlock,
+    currentBlock,
+    dao.governor
+  );
+
+  // A registry built from partial history would be silently wrong
+  const failedRanges = [
+    ...delegationLogs.failedRanges,
+    ...voteLogs.failedRanges,
+  ];
+  if (failedRanges.length > 0) {
+    throw new Error(
+      `Failed to index ${failedRanges.length} block ranges, delegate registry left unchanged`
     );
+  }
 
-    const currentBlock = await provider.getBlockNumber();
-    let allEvents = [];
-    const startBlock = DEFAULT_START_BLOCK;
+  const votingPower = new Map();
+  const delegateOf = new Map();
+  delegationLogs.events.forEach((event) => {
+    const parsed = token.interface.parseLog({
+      topics: event.topics,
+      data: event.data,
+    });
+    if (parsed.name === "DelegateVotesChanged") {
+      votingPower.set(parsed.args.delegate, parsed.args.newBalance);
+    } else {
+      delegateOf.set(parsed.args.delegator, parsed.args.toDelegate);
+    }
+  });
+
+  const delegations = new Map();
+  delegateOf.forEach((delegate) => {
+    if (delegate === ethers.ZeroAddress) return;
+    delegations.set(delegate, (delegations.get(delegate) || 0) + 1);
+  });
+
+  const onChainVotes = new Map();
+  voteLogs.events.forEach((event) => {
+    const parsed = governorContract.interface.parseLog({
+      topics: event.topics,
+      data: event.data,
+    });
+    const voter = parsed.args.voter;
+    onChainVotes.set(voter, (onChainVotes.get(voter) || 0) + 1);
+  });
 
-    for (
-      let fromBlock = startBlock;
-      fromBlock < currentBlock;
-      fromBlock += CHUNK_SIZE
-    ) {
-      const toBlock = Math.min(fromBlock + CHUNK_SIZE - 1, currentBlock);
+  const previousDelegates = await loadDelegates(dao);
+  const previousByAddress = new Map(
+    previousDelegates.map((d) => [d.address.toLowerCase(), d])
+  );
 
-      const filter = {
-        address: config.GOVERNOR_ADDRESS,
-        topics: [VOTE_CAST_EVENT, null],
-        fromBlock: fromBlock,
-        toBlock: toBlock,
+  const delegates = [...votingPower.entries()]
+    .map(([address, power]) => ({
+      address,
+      votingPower: Math.round(parseFloat(ethers.formatUnits(power, 18))),
+    }))
+    .filter((d) => d.votingPower > 0)
+    .sort((a, b) => b.votingPower - a.votingPower)
+    .slice(0, Number(config.DELEGATES_LIMIT))
+    .map((d, index) => {
+      const previous = previousByAddress.get(d.address.toLowerCase());
+      return {
+        address: d.address,
+        votingPower: d.votingPower,
+        votingPowerChange: previous ? d.votingPower - previous.votingPower : 0,
+        delegations: delegations.get(d.address) || 0,
+        onChainVotes: onChainVotes.get(d.address) || 0,
+        rank: index + 1,
       };
+    });
 
-      try {
-        const events = await provider.getLogs(filter);
-        const matchingEvents = events.filter((event) => {
-          const parsed = governorContract.interface.parseLog({
-            topics: event.topics,
-            data: event.data,
-          });
-          return parsed.args.proposalId.toString() === proposalId.toString();
-        });
-        allEvents = allEvents.concat(matchingEvents);
-      } catch (error) {
-        console.warn(
-          `Error fetching chunk ${fromBlock}-${toBlock}:`,
-          error.message
-        );
-      }
-    }
+  const diff = diffDelegates(previousDelegates, delegates);
 
-    const votes = await Promise.all(
-      allEvents.map(async (event) => {
-        const block = await provider.getBlock(event.blockNumber);
-        const parsed = governorContract.interface.parseLog({
-          topics: event.topics,
-          data: event.data,
-        });
+  if (!options.dryRun) {
+    const registry = {
+      lastUpdated: new Date().toISOString().split("T")[0],
+      delegates: delegates,
+    };
+    // Write then rename so a crash never leaves a half-written registry
+    const tempFile = `${dao.delegatesFile}.tmp`;
+    await fs.mkdir(path.dirname(dao.delegatesFile), { recursive: true });
+    await fs.writeFile(tempFile, JSON.stringify(registry, null, 2) + "\n");
+    await fs.rename(tempFile, dao.delegatesFile);
+    logProgress(
+      `Wrote ${delegates.length} delegates to ${dao.delegatesFile} (${registry.lastUpdated})`
+    );
+  }
 
-        // Now snapshotBlock is available here
-        const votingPower = await governorContract.getVotes(
-          parsed.args.voter,
-          snapshotBlock
-        );
+  return { delegates, diff };
+}
 
-        // Add ENS resolution
-        const delegateWithENS = await resolveENSName(
-          parsed.args.voter,
-          provider
-        );
+// Compare two delegate lists by address
+function diffDelegates(previousDelegates, delegates) {
+  const previousByAddress = new Map(
+    previousDelegates.map((d) => [d.address.toLowerCase(), d])
+  );
+  const currentByAddress = new Map(
+    delegates.map((d) => [d.address.toLowerCase(), d])
+  );
 
+  return {
+    added: delegates.filter(
+      (d) => !previousByAddress.has(d.address.toLowerCase())
+    ),
+    removed: previousDelegates.filter(
+      (d) => !currentByAddress.has(d.address.toLowerCase())
+    ),
+    changed: delegates
+      .filter((d) => previousByAddress.has(d.address.toLowerCase()))
+      .map((d) => {
+        const previous = previousByAddress.get(d.address.toLowerCase());
         return {
-          delegate: delegateWithENS,
-          vote:
-            parsed.args.support === 0n
-              ? "Against"
-              : parsed.args.support === 1n
-              ? "For"
-              : "Abstain",
-          votingPower: ethers.formatUnits(votingPower, 18),
-          weight: ethers.formatUnits(parsed.args.weight, 18),
-          timestamp: new Date(Number(block.timestamp) * 1000).toLocaleString(),
-          reason: parsed.args.reason || "",
+          address: d.address,
+          votingPowerBefore: previous.votingPower,
+          votingPowerAfter: d.votingPower,
+          rankBefore: previous.rank,
+          rankAfter: d.rank,
         };
       })
-    );
+      .filter(
+        (d) =>
+          d.votingPowerBefore !== d.votingPowerAfter ||
+          d.rankBefore !== d.rankAfter
+      ),
+  };
+}
 
-    // When returning results, include the delegate snapshot
-    const result = {
-      votes: votes,
-      delegateSnapshot: delegatesAtSnapshot,
-      snapshotBlock: Number(snapshotBlock),
-      snapshotStats: {
-        totalDelegates: delegatesAtSnapshot.length,
-        significantChanges: delegatesAtSnapshot.filter(
-          (d) => d.hasVotingPowerChanged
-        ).length,
-        topDelegatesByPower: delegatesAtSnapshot.slice(0, 10),
-      },
-    };
+function formatDelegateDiff(diff) {
+  const lines = [
+    `${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed`,
+  ];
 
-    // Cache the results
-    if (!DEBUG_MODE) {
-      await cacheData(proposalId, result);
-    }
+  diff.added.forEach((d) =>
+    lines.push(`+ ${d.address} rank ${d.rank} (${formatNumber(d.votingPower)})`)
+  );
+  diff.removed.forEach((d) =>
+    lines.push(
+      `- ${d.address} was rank ${d.rank} (${formatNumber(d.votingPower)})`
+    )
+  );
+  diff.changed.forEach((d) =>
+    lines.push(
+      `~ ${d.address} ${formatNumber(d.votingPowerBefore)} -> ${formatNumber(
+        d.votingPowerAfter
+      )}, rank ${d.rankBefore} -> ${d.rankAfter}`
+    )
+  );
 
-    return result;
-  } catch (error) {
-    console.error(`Error in getVotingData:`, error);
-    throw error;
-  }
+  return lines.join("\n");
 }
 
-// Simple express server to view results
-const app = express();
-
-function validateProposalId(proposalId) {
-  if (!proposalId) {
-    throw new Error("Proposal ID is required");
-  }
+async function ensureCacheDir() {
   try {
-    // Handle string inputs of large numbers properly
-    return BigInt(proposalId.toString());
-  } catch (error) {
-    throw new Error("Invalid proposal ID format");
+    await fs.mkdir(config.CACHE_DIR, { recursive: true });
+    for (const dao of (await loadDAOProfiles()).values()) {
+      await fs.mkdir(path.join(config.CACHE_DIR, dao.id), { recursive: true });
+    }
+  } catch (err) {
+    if (err.code !== "EEXIST") throw err;
   }
 }
 
-// First, let's clear the cache directory to force a fresh fetch
-async function clearCache() {
-  try {
-    const files = await fs.readdir(config.CACHE_DIR);
-    for (const file of files) {
-      await fs.unlink(path.join(config.CACHE_DIR, file));
-    }
-    console.log("Cache cleared");
-  } catch (err) {
-    if (err.code !== "ENOENT") {
-      console.error("Error clearing cache:", err);
-    }
+let store = null;
+
+// The SQLite store, opened on first use
+function getStore() {
+  if (!store) {
+    store = openStore(config.DATABASE_FILE);
   }
+  return store;
 }
 
-// Fix the RPC provider creation
-function createProvider(rpcUrl) {
+// Whether a scan was refreshed within `duration` seconds
+function isFresh(progress, duration = config.CACHE_DURATION) {
+  return (
+    progress !== null &&
+    progress.refreshedAt !== null &&
+    progress.refreshedAt + duration * 1000 >= Date.now()
+  );
+}
+
+// Voting has closed and every vote, the snapshot and the quorum are stored,
+// so the proposal's data can no longer change
+function isProposalClosed(details, progress) {
+  return (
+    details !== null &&
+    details.deadlineBlock !== null &&
+    details.quorum !== null &&
+    progress !== null &&
+    progress.lastScannedBlock >= details.deadlineBlock &&
+    progress.gaps.length === 0
+  );
+}
+
+// ENS identities are shared by every proposal and DAO in the store's ens_names table
+const ensLookups = new Map();
+
+// Run at most `limit` tasks at once, queueing the rest
+function createLimiter(limit) {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= limit || queue.length === 0) return;
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    task()
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return (task) =>
+    new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject });
+      next();
+    });
+}
+
+const limitENSLookup = createLimiter(Number(config.ENS_CONCURRENCY));
+
+// Reverse-resolve an address to its primary ENS name, keeping the name only
+// when it forward-resolves back to the same address
+async function fetchIdentity(address, provider) {
+  const name = await provider.lookupAddress(address);
+  if (!name) {
+    return { address, name: null, avatar: null };
+  }
+
+  const resolver = await provider.getResolver(name);
+  const forwardAddress = resolver ? await resolver.getAddress() : null;
+  if (
+    !forwardAddress ||
+    forwardAddress.toLowerCase() !== address.toLowerCase()
+  ) {
+    return { address, name: null, avatar: null };
+  }
+
+  let avatar = null;
   try {
-    return new ethers.JsonRpcProvider(rpcUrl); // Note: JsonRpcProvider instead of providers.JsonRpcProvider
+    avatar = await resolver.getText("avatar");
   } catch (error) {
-    console.error("Failed to create provider:", error);
-    throw error;
+    // An unreadable avatar record shouldn't cost us the name
   }
+
+  return { address, name, avatar: avatar || null };
 }
 
-// Update the RPC status check
-async function checkRPCStatus(rpcUrl) {
-  try {
-    const provider = createProvider(rpcUrl);
-    await provider.getNetwork();
-    return true;
-  } catch (error) {
-    console.warn(`RPC check failed for ${rpcUrl}:`, error.message);
-    return false;
+// Structured { address, name, avatar } for an address, served from the shared cache
+async function resolveIdentity(address, provider) {
+  const key = address.toLowerCase();
+  const cached = getStore().getENSName(address);
+  if (cached && cached.resolvedAt + config.ENS_CACHE_TTL * 1000 > Date.now()) {
+    return { address, name: cached.name, avatar: cached.avatar };
+  }
+
+  // Share one lookup between concurrent callers asking for the same address
+  if (!ensLookups.has(key)) {
+    const lookup = limitENSLookup(() => fetchIdentity(address, provider))
+      .then((identity) => {
+        getStore().saveENSName(address, identity, Date.now());
+        return identity;
+      })
+      .catch((error) => {
+        // Failures aren't cached, so the next request tries again
+        console.warn(`Failed to resolve ENS for ${address}:`, error.message);
+        return cached
+          ? { address, name: cached.name, avatar: cached.avatar }
+          : { address, name: null, avatar: null };
+      })
+      .finally(() => ensLookups.delete(key));
+    ensLookups.set(key, lookup);
   }
+
+  const identity = await ensLookups.get(key);
+  return { ...identity, address };
 }
 
-// Update the route handler to use this default
-app.get("/", async (req, res) => {
-  try {
-    const proposalId = validateProposalId(
-      req.query.proposal || DEFAULT_PROPOSAL_ID
-    );
-    const rpcUrl = req.query.rpc || config.RPC_URL;
-    const rpcStatus = await checkRPCStatus(rpcUrl);
-    const viewFilter = req.query.view || "all"; // new filter parameter
-    const sortBy = req.query.sort || "time"; // new sort parameter
-    const sortDir = req.query.dir || "desc"; // sort direction
+// Fetch a contract's logs for a single block window
+async function getLogsChunk(provider, topics, fromBlock, toBlock, address) {
+  const filter = {
+    address: address,
+    topics: topics,
+    fromBlock: fromBlock,
+    toBlock: toBlock,
+  };
 
-    const votes = await getVotingData(proposalId);
-    const stats = calculateVoteStats(votes);
+  return provider.getLogs(filter);
+}
 
-    let filteredVotes = votes.votes;
-    let tableData = [];
+// Fetch contract logs matching the given topics in CHUNK_SIZE windows.
+// Failed windows are returned in failedRanges instead of being dropped.
+async function getLogsInChunks(
+  provider,
+  topics,
+  startBlock,
+  endBlock,
+  address
+) {
+  let allEvents = [];
+  const failedRanges = [];
+
+  for (
+    let fromBlock = startBlock;
+    fromBlock <= endBlock;
+    fromBlock += CHUNK_SIZE
+  ) {
+    const toBlock = Math.min(fromBlock + CHUNK_SIZE - 1, endBlock);
 
-    if (viewFilter === "notvoted") {
-      tableData = await getNotVotedDelegates(
-        votes.delegateSnapshot,
-        votes.votes
+    try {
+      const events = await getLogsChunk(
+        provider,
+        topics,
+        fromBlock,
+        toBlock,
+        address
       );
-    } else if (viewFilter === "for") {
-      filteredVotes = votes.votes.filter((v) => v.vote === "For");
-      tableData = filteredVotes;
-    } else if (viewFilter === "against") {
-      filteredVotes = votes.votes.filter((v) => v.vote === "Against");
-      tableData = filteredVotes;
-    } else if (viewFilter === "abstain") {
-      filteredVotes = votes.votes.filter((v) => v.vote === "Abstain");
-      tableData = filteredVotes;
-    } else {
-      tableData = votes.votes;
+      allEvents = allEvents.concat(events);
+    } catch (error) {
+      console.warn(
+        `Error fetching chunk ${fromBlock}-${toBlock}:`,
+        error.message
+      );
+      failedRanges.push({ fromBlock, toBlock, error: error.message });
     }
+  }
 
-    // Apply sorting
-    const sortedVotes = [...tableData].sort((a, b) => {
-      if (sortBy === "weight") {
-        const weightA = parseFloat(a.weight);
-        const weightB = parseFloat(b.weight);
-        return sortDir === "desc" ? weightB - weightA : weightA - weightB;
-      } else {
-        // time
-        const timeA = new Date(a.timestamp);
-        const timeB = new Date(b.timestamp);
-        return sortDir === "desc" ? timeB - timeA : timeA - timeB;
-      }
-    });
+  return { events: allEvents, failedRanges };
+}
 
-    // Update the table HTML generation to use the correct template based on view
-    const tableHTML =
-      viewFilter === "notvoted"
-        ? await generateNotVotedTable(sortedVotes)
-        : `
-  <table class="votes-table">
-    <thead>
-      <tr>
-        <th>Voter</th>
-        <th>Vote</th>
-        <th class="sort-header" onclick="window.location.href='?proposal=${proposalId}&rpc=${encodeURIComponent(
-            rpcUrl
-          )}&view=${viewFilter}&sort=weight&dir=${
-            sortBy === "weight" ? (sortDir === "asc" ? "desc" : "asc") : ""
-          }'">
-          Weight ${sortBy === "weight" ? (sortDir === "asc" ? "↑" : "↓") : ""}
-        </th>
-        <th class="sort-header" onclick="window.location.href='?proposal=${proposalId}&rpc=${encodeURIComponent(
-            rpcUrl
-          )}&view=${viewFilter}&sort=time&dir=${
-            sortBy === "time" ? (sortDir === "asc" ? "desc" : "asc") : ""
-          }'">
-          Time ${sortBy === "time" ? (sortDir === "asc" ? "↑" : "↓") : ""}
-        </th>
-        <th>Reason</th>
-      </tr>
-    </thead>
-    <tbody>
-      ${sortedVotes
-        .map((vote) => {
-          const address = vote.delegate.match(/0x[a-fA-F0-9]{40}/)[0];
-          return `
-          <tr>
-            <td>
-              ${vote.delegate.replace(
-                address,
-                `<a href="https://etherscan.io/address/${address}" target="_blank" class="address-link">${address.substring(
-                  0,
-                  6
-                )}...${address.substring(38)}</a>`
-              )}
-            </td>
-            <td>
-              <span class="${
-                vote.vote === "For"
-                  ? "vote-for"
-                  : vote.vote === "Against"
-                  ? "vote-against"
-                  : ""
-              }">${vote.vote}</span>
-            </td>
-            <td class="voting-power">${formatNumber(vote.weight)}</td>
-            <td>${vote.timestamp}</td>
-            <td class="reason-cell">
-              ${
-                vote.reason
-                  ? `<button onclick="showReason(this)" class="reason-button" data-reason="${vote.reason}">Show</button>`
-                  : ""
-              }
-            </td>
-          </tr>
-        `;
-        })
-        .join("")}
-    </tbody>
-  </table>
-`;
-
-    const html = `
-      <!DOCTYPE html>
-      <html>
-      <head>
-          <meta charset="UTF-8">
-          <meta name="viewport" content="width=device-width, initial-scale=1.0">
-          <title>ENS DAO Votes - Proposal ${proposalId}</title>
-          <style>
-              body {
-                  font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen-Sans, Ubuntu, Cantarell, 'Helvetica Neue', sans-serif;
-                  line-height: 1.5;
-                  color: #333;
-                  max-width: 1200px;
-                  margin: 0 auto;
-                  padding: 20px 40px;
-              }
-
-              h1, h2, h3 {
-                  color: #2c3e50;
-              }
-
-              .stats-grid {
-                  display: grid;
-                  grid-template-columns: 1fr 1fr;
-                  gap: 30px;
-                  margin: 20px 0;
-              }
-
-              .stats-section {
-                  background: #f8f9fa;
-                  padding: 20px;
-                  border-radius: 8px;
-                  box-shadow: 0 2px 4px rgba(0,0,0,0.05);
-              }
-
-              table {
-                  width: 100%;
-                  border-collapse: collapse;
-                  margin: 20px 0;
-                  background: white;
-                  box-shadow: 0 2px 4px rgba(0,0,0,0.05);
-              }
-
-              th, td {
-                  padding: 12px 16px;
-                  text-align: left;
-                  border-bottom: 1px solid #eee;
-              }
-
-              th {
-                  background: #f8f9fa;
-                  font-weight: 600;
-              }
-
-              .view-buttons {
-                  margin: 20px 0;
-                  display: flex;
-                  gap: 10px;
-              }
-
-              .view-button {
-                  padding: 8px 16px;
-                  border: 1px solid #ddd;
-                  border-radius: 6px;
-                  background: #f8f9fa;
-                  cursor: pointer;
-                  text-decoration: none;
-                  color: #333;
-                  transition: all 0.2s ease;
-              }
-
-              .view-button:hover {
-                  background: #e9ecef;
-              }
-
-              .view-button.active {
-                  background: #007bff;
-                  color: white;
-                  border-color: #0056b3;
-              }
-
-              .quorum-status {
-                  font-weight: 600;
-                  padding: 12px;
-                  border-radius: 6px;
-                  margin: 10px 0;
-              }
-
-              .quorum-status.reached {
-                  background: #d4edda;
-                  color: #155724;
-              }
-
-              .quorum-status.needed {
-                  background: #fff3cd;
-                  color: #856404;
-              }
-
-              .votes-needed {
-                  color: #856404;
-                  font-weight: 600;
-              }
-
-              .refresh-note {
-                  margin: 20px 0;
-                  color: #6c757d;
-                  font-style: italic;
-              }
-
-              .sort-header {
-                  cursor: pointer;
-                  text-decoration: none;
-                  color: #2c3e50;
-              }
-
-              .sort-header:hover {
-                  color: #007bff;
-              }
-
-              .rpc-form {
-                  background: #f8f9fa;
-                  padding: 20px;
-                  border-radius: 8px;
-                  margin: 20px 0;
-              }
-
-              .form-row {
-                  margin-bottom: 12px;
-              }
-              
-              .form-row label {
-                  display: block;
-              }
-              
-              .label-text {
-                  display: inline-block;
-                  width: 100px;
-                  text-align: right;
-                  padding-right: 10px;
-              }
-              
-              .input-wrapper {
-                  display: inline-block;
-                  position: relative;
-              }
-              
-              .form-row input[type="text"] {
-                  padding: 8px 12px;
-                  border: 1px solid #ddd;
-                  border-radius: 4px;
-                  font-size: 14px;
-                  width: 400px;
-              }
-              
-              .rpc-status {
-                  position: absolute;
-                  right: -20px;
-                  top: 50%;
-                  transform: translateY(-50%);
-                  font-size: 16px;
-              }
-              
-              .rpc-status.active {
-                  color: #28a745;
-              }
-              
-              .rpc-status.inactive {
-                  color: #dc3545;
-              }
-
-              button {
-                  padding: 8px 16px;
-                  background: #007bff;
-                  color: white;
-                  border: none;
-                  border-radius: 4px;
-                  cursor: pointer;
-                  transition: background 0.2s ease;
-              }
-
-              button:hover {
-                  background: #0056b3;
-              }
-
-              .ens-name {
-                font-weight: 600;
-                font-size: 1.1em;
-                color: #2c3e50;
-              }
-              
-              .address {
-                color: #6c757d;
-                font-size: 0.9em;
-              }
-
-              .proposal-header {
-                  display: flex;
-                  align-items: baseline;
-                  gap: 10px;
-              }
-              
-              .proposal-id {
-                  font-size: 0.8em;
-                  color: #6c757d;
-                  font-weight: normal;
-                  white-space: nowrap;
-                  overflow: hidden;
-                  text-overflow: ellipsis;
-                  max-width: 200px;
-              }
-
-              .votes-table {
-                  width: 100%;
-                  border-collapse: separate;
-                  border-spacing: 0;
-                  margin: 20px 0;
-                  background: white;
-                  box-shadow: 0 1px 3px rgba(0,0,0,0.1);
-                  border-radius: 8px;
-              }
-
-              .votes-table th {
-                  background: #f8f9fa;
-                  padding: 16px;
-                  text-align: left;
-                  font-weight: 600;
-                  color: #2c3e50;
-                  border-bottom: 2px solid #dee2e6;
-              }
-
-              .votes-table td {
-                  padding: 12px 16px;
-                  border-bottom: 1px solid #eee;
-                  vertical-align: middle;
-              }
-
-              .votes-table tr:last-child td {
-                  border-bottom: none;
-              }
-
-              .votes-table tr:hover {
-                  background-color: #f8f9fa;
-              }
-
-              .ens-name {
-                  font-weight: 600;
-                  font-size: 1.1em;
-                  color: #2c3e50;
-                  display: block;
-              }
-
-              .address-link {
-                  color: #6c757d;
-                  font-size: 0.9em;
-                  text-decoration: none;
-              }
-
-              .address-link:hover {
-                  color: #007bff;
-              }
-
-              .voting-power {
-                  font-weight: 600;
-                  color: #2c3e50;
-              }
-
-              .reason-text {
-                  display: inline-block;
-                  max-width: 100px;
-                  overflow: hidden;
-                  text-overflow: ellipsis;
-              }
-
-              .vote-for {
-                  background: rgba(40, 167, 69, 0.3);
-                  padding: 4px 12px;
-                  border-radius: 12px;
-                  color: #0a4d1c;
-              }
-              
-              .vote-against {
-                  background: rgba(220, 53, 69, 0.3);
-                  padding: 4px 12px;
-                  border-radius: 12px;
-                  color: #721c24;
-              }
-              
-              .reason-cell {
-                  max-width: 30px;
-                  text-align: center;
-              }
-              
-              .reason-button {
-                  background: rgba(108, 117, 125, 0.15);
-                  border: none;
-                  cursor: pointer;
-                  color: #6c757d;
-                  padding: 4px 12px;
-                  border-radius: 12px;
-                  font-size: 12px;
-              }
-              
-              .reason-button:hover {
-                  background: rgba(108, 117, 125, 0.25);
-              }
-              
-              .reason-modal {
-                  display: none;
-                  position: fixed;
-                  top: 50%;
-                  left: 50%;
-                  transform: translate(-50%, -50%);
-                  background: white;
-                  padding: 20px;
-                  border-radius: 8px;
-                  box-shadow: 0 2px 10px rgba(0,0,0,0.1);
-                  z-index: 1000;
-                  max-width: 500px;
-                  width: 90%;
-              }
-              
-              .modal-backdrop {
-                  display: none;
-                  position: fixed;
-                  top: 0;
-                  left: 0;
-                  right: 0;
-                  bottom: 0;
-                  background: rgba(0,0,0,0.5);
-                  z-index: 999;
-              }
-          </style>
-      </head>
-      <body>
-          <div class="proposal-header">
-              <h1>ENS DAO Votes</h1>
-              <span class="proposal-id">Proposal: ${proposalId}</span>
-          </div>
-          
-          <div class="rpc-form">
-              <form id="configForm">
-                  <div class="form-row">
-                    <label>
-                      <span class="label-text">RPC URL:</span>
-                      <div class="input-wrapper">
-                        <input type="text" name="rpc" value="${rpcUrl}" size="50">
-                        <span class="rpc-status ${
-                          rpcStatus ? "active" : "inactive"
-                        }" 
-                              title="${
-                                rpcStatus ? "RPC Active" : "RPC Inactive"
-                              }">●</span>
-                      </div>
-                    </label>
-                  </div>
-                  <div class="form-row">
-                    <label>
-                      <span class="label-text">Proposal ID:</span>
-                      <div class="input-wrapper">
-                        <input type="text" name="proposal" value="${proposalId}" size="50">
-                      </div>
-                    </label>
-                  </div>
-                  <button type="submit">Update Configuration</button>
-              </form>
-          </div>
-
-          <div class="refresh-note">
-              Last updated: ${new Date().toLocaleString()}
-              (Refresh page to update data)
-          </div>
-
-          <div class="stats">
-              <h2>Voting Statistics</h2>
-              <div class="stats-grid">
-                  <div class="stats-section">
-                      <h3>Vote Counts</h3>
-                      <p>Total Votes: ${stats.totalVotes.toLocaleString()}</p>
-                      <p>For: ${stats.forCount.toLocaleString()} votes (${formatStatNumber(
-      stats.forVotes
-    )} weight)</p>
-                      <p>Against: ${stats.againstCount.toLocaleString()} votes (${formatStatNumber(
-      stats.againstVotes
-    )} weight)</p>
-                      <p>Abstain: ${stats.abstainCount.toLocaleString()} votes (${formatStatNumber(
-      stats.abstainVotes
-    )} weight)</p>
-                  </div>
-                  
-                  <div class="stats-section">
-                      <h3>Quorum Status</h3>
-                      <p class="quorum-status ${
-                        stats.hasReachedQuorum ? "reached" : "needed"
-                      }">
-                          ${
-                            stats.hasReachedQuorum
-                              ? "✅ Quorum Reached"
-                              : "⏳ Quorum Not Reached"
-                          }
-                      </p>
-                      <p>Current Quorum Votes: ${formatStatNumber(
-                        stats.quorumVotes
-                      )}</p>
-                      <p>Required Quorum: ${formatStatNumber(QUORUM_VOTES)}</p>
-                      ${
-                        !stats.hasReachedQuorum
-                          ? `<p class="votes-needed">Needs ${formatStatNumber(
-                              stats.votesNeededForQuorum
-                            )} more votes</p>`
-                          : ""
-                      }
-                  </div>
-              </div>
-          </div>
-
-          <div class="view-buttons">
-              <a href="?proposal=${proposalId}&rpc=${encodeURIComponent(
-      rpcUrl
-    )}&view=all&sort=${sortBy}&dir=${sortDir}" 
-                 class="view-button ${
-                   viewFilter === "all" ? "active" : ""
-                 }">All</a>
-              <a href="?proposal=${proposalId}&rpc=${encodeURIComponent(
-      rpcUrl
-    )}&view=for&sort=${sortBy}&dir=${sortDir}" 
-                 class="view-button ${
-                   viewFilter === "for" ? "active" : ""
-                 }">For</a>
-              <a href="?proposal=${proposalId}&rpc=${encodeURIComponent(
-      rpcUrl
-    )}&view=against&sort=${sortBy}&dir=${sortDir}" 
-                 class="view-button ${
-                   viewFilter === "against" ? "active" : ""
-                 }">Against</a>
-              <a href="?proposal=${proposalId}&rpc=${encodeURIComponent(
-      rpcUrl
-    )}&view=abstain&sort=${sortBy}&dir=${sortDir}" 
-                 class="view-button ${
-                   viewFilter === "abstain" ? "active" : ""
-                 }">Abstain</a>
-              <a href="?proposal=${proposalId}&rpc=${encodeURIComponent(
-      rpcUrl
-    )}&view=notvoted&sort=${sortBy}&dir=${sortDir}" 
-                 class="view-button ${
-                   viewFilter === "notvoted" ? "active" : ""
-                 }">Not Yet Voted</a>
-          </div>
-
-          ${tableHTML}
-
-          <div class="refresh-note">
-              Last updated: ${new Date().toLocaleString()}
-              (Refresh page to update data)
-          </div>
-
-          <!-- Add modal elements at the end of the body -->
-          <div class="modal-backdrop" id="modalBackdrop" onclick="hideReason()"></div>
-          <div class="reason-modal" id="reasonModal">
-            <h3>Vote Reason</h3>
-            <p id="reasonText"></p>
-          </div>
-
-          <!-- Add JavaScript for modal handling -->
-          <script>
-          function showReason(button) {
-            const reason = button.getAttribute('data-reason');
-            document.getElementById('reasonText').textContent = reason;
-            document.getElementById('modalBackdrop').style.display = 'block';
-            document.getElementById('reasonModal').style.display = 'block';
-          }
+// Map the governor's support value to its vote label
+function formatSupport(support) {
+  return support === 0n ? "Against" : support === 1n ? "For" : "Abstain";
+}
 
-          function hideReason() {
-            document.getElementById('modalBackdrop').style.display = 'none';
-            document.getElementById('reasonModal').style.display = 'none';
-          }
+// Params bytes of a VoteCastWithParams log, or null for a plain VoteCast
+function getVoteParams(parsed) {
+  return parsed.name === "VoteCastWithParams" ? parsed.args.params : null;
+}
 
-          // Close modal on escape key
-          document.addEventListener('keydown', function(event) {
-            if (event.key === 'Escape') {
-              hideReason();
-            }
-          });
+// Decode a VoteCast or VoteCastWithParams log into the vote record shown in the dashboard
+async function decodeVoteEvent(event, governorContract, snapshotBlock) {
+  const provider = governorContract.runner;
+  const block = await provider.getBlock(event.blockNumber);
+  const parsed = governorContract.interface.parseLog({
+    topics: event.topics,
+    data: event.data,
+  });
+
+  // Now snapshotBlock is available here
+  const votingPower = await governorContract.getVotes(
+    parsed.args.voter,
+    snapshotBlock
+  );
 
-          document.getElementById('configForm').addEventListener('submit', function(e) {
-            e.preventDefault();
-            const rpc = this.elements.rpc.value;
-            const proposal = this.elements.proposal.value;
-            window.location.href = '/?proposal=' + proposal + '&rpc=' + encodeURIComponent(rpc);
-          });
-          </script>
-      </body>
-      </html>
-    `;
+  // Add ENS resolution
+  const identity = await resolveIdentity(parsed.args.voter, provider);
+
+  return {
+    voter: parsed.args.voter,
+    ensName: identity.name,
+    avatar: identity.avatar,
+    vote: formatSupport(parsed.args.support),
+    votingPower: ethers.formatUnits(votingPower, 18),
+    weight: ethers.formatUnits(parsed.args.weight, 18),
+    timestamp: new Date(Number(block.timestamp) * 1000).toLocaleString(),
+    isoTimestamp: new Date(Number(block.timestamp) * 1000).toISOString(),
+    reason: parsed.args.reason || "",
+    params: getVoteParams(parsed),
+    blockNumber: event.blockNumber,
+    transactionHash: event.transactionHash,
+    logIndex: event.index,
+  };
+}
 
-    res.send(html);
-  } catch (error) {
-    console.error(`Error processing request:`, error);
-    res.status(500).send(`Error: ${error.message}`);
-  }
-});
+// Index VoteCast logs for one proposal, resuming from the last scanned block.
+// Only blocks between the proposal's snapshot and deadline can hold its votes.
+async function indexProposalVotes(
+  dao,
+  proposalId,
+  snapshotBlock,
+  deadlineBlock,
+  governorContract
+) {
+  const provider = governorContract.runner;
+  const store = getStore();
+  const state = store.getScanProgress(dao.id, proposalId) || {
+    lastScannedBlock: Number(snapshotBlock) - 1,
+    gaps: [],
+  };
+  const seen = new Set(
+    store
+      .getProposalVotes(dao.id, proposalId)
+      .map((vote) => `${vote.transactionHash}-${vote.logIndex}`)
+  );
+
+  const addEvents = async (events) => {
+    const matchingEvents = events.filter((event) => {
+      if (seen.has(`${event.transactionHash}-${event.index}`)) return false;
+      const parsed = governorContract.interface.parseLog({
+        topics: event.topics,
+        data: event.data,
+      });
+      return parsed.args.proposalId.toString() === proposalId.toString();
+    });
+
+    const votes = await Promise.all(
+      matchingEvents.map((event) =>
+        decodeVoteEvent(event, governorContract, snapshotBlock)
+      )
+    );
+    votes.forEach((vote) => {
+      seen.add(`${vote.transactionHash}-${vote.logIndex}`);
+    });
+    store.saveVotes(dao.id, proposalId, votes);
+  };
+
+  // Retry ranges that failed on earlier scans first
+  const gaps = state.gaps;
+  state.gaps = [];
+  for (const gap of gaps) {
+    try {
+      const events = await getLogsChunk(
+        provider,
+        [VOTE_EVENTS, null],
+        gap.fromBlock,
+        gap.toBlock,
+        dao.governor
+      );
+      await addEvents(events);
+      logProgress(`Recovered gap ${gap.fromBlock}-${gap.toBlock}`);
+    } catch (error) {
+      console.warn(
+        `Gap ${gap.fromBlock}-${gap.toBlock} still failing:`,
+        error.message
+      );
+      state.gaps.push({
+        ...gap,
+        error: error.message,
+        attempts: (gap.attempts || 1) + 1,
+      });
+    }
+  }
+
+  const currentBlock = await provider.getBlockNumber();
+  const endBlock = Math.min(currentBlock, Number(deadlineBlock));
+
+  for (
+    let fromBlock = state.lastScannedBlock + 1;
+    fromBlock <= endBlock;
+    fromBlock += CHUNK_SIZE
+  ) {
+    const toBlock = Math.min(fromBlock + CHUNK_SIZE - 1, endBlock);
+
+    try {
+      const events = await getLogsChunk(
+        provider,
+        [VOTE_EVENTS, null],
+        fromBlock,
+        toBlock,
+        dao.governor
+      );
+      await addEvents(events);
+    } catch (error) {
+      console.warn(
+        `Error fetching chunk ${fromBlock}-${toBlock}, recording gap:`,
+        error.message
+      );
+      state.gaps.push({
+        fromBlock,
+        toBlock,
+        error: error.message,
+        attempts: 1,
+      });
+    }
+
+    // Persist after every chunk so an interrupted scan resumes here
+    state.lastScannedBlock = toBlock;
+    store.saveScanProgress(dao.id, proposalId, state);
+  }
+
+  store.saveScanProgress(dao.id, proposalId, state);
+
+  if (state.gaps.length > 0) {
+    console.warn(
+      `Proposal ${proposalId} has ${state.gaps.length} unscanned block ranges`
+    );
+  }
+
+  return { ...state, votes: store.getProposalVotes(dao.id, proposalId) };
+}
+
+// Update the getVotingData function to use the new snapshot
+async function getVotingData(dao, proposalId, rpcUrl, options = {}) {
+  try {
+    // Serve stored data while it is fresh, unless the caller wants a fresh scan
+    if (!DEBUG_MODE && !options.refresh) {
+      const stored = getStoredVotingData(dao, proposalId);
+      if (stored) {
+        return stored;
+      }
+    }
+
+    const provider = createProvider(rpcUrl);
+    const governorContract = new ethers.Contract(
+      dao.governor,
+      governorABI,
+      provider
+    );
+
+    // Get snapshot block
+    const snapshotBlock = await governorContract.proposalSnapshot(proposalId);
+    if (snapshotBlock === 0n) {
+      throw new Error(`Proposal ${proposalId} does not exist`);
+    }
+    logProgress(`Snapshot block: ${snapshotBlock}`);
+
+    // Get delegate snapshot with actual voting power at snapshot block
+    const delegatesAtSnapshot = await getDelegateSnapshot(
+      dao,
+      proposalId,
+      snapshotBlock,
+      provider
+    );
+    logProgress(
+      `Found ${delegatesAtSnapshot.length} delegates with voting power`
+    );
+
+    const quorum = await getQuorumAtSnapshot(
+      dao,
+      proposalId,
+      snapshotBlock,
+      provider
+    );
+
+    const deadlineBlock = await governorContract.proposalDeadline(proposalId);
+    getStore().saveProposalBlocks(
+      dao.id,
+      proposalId,
+      snapshotBlock,
+      deadlineBlock
+    );
+    const scanState = await indexProposalVotes(
+      dao,
+      proposalId,
+      snapshotBlock,
+      deadlineBlock,
+      governorContract
+    );
+    const votes = scanState.votes;
+
+    // When returning results, include the delegate snapshot
+    const result = {
+      votes: votes,
+      delegateSnapshot: delegatesAtSnapshot,
+      snapshotBlock: Number(snapshotBlock),
+      quorum: quorum,
+      scanStatus: {
+        lastScannedBlock: scanState.lastScannedBlock,
+        gaps: scanState.gaps,
+      },
+      snapshotStats: summarizeSnapshot(delegatesAtSnapshot),
+    };
+
+    if (!DEBUG_MODE) {
+      getStore().markRefreshed(dao.id, proposalId);
+    }
+
+    // Alerts must never break data loading
+    try {
+      await checkAlerts(dao, proposalId, result);
+    } catch (error) {
+      console.error(`Error checking alerts:`, error);
+    }
+
+    return result;
+  } catch (error) {
+    console.error(`Error in getVotingData:`, error);
+    throw error;
+  }
+}
+
+function summarizeSnapshot(delegateSnapshot) {
+  return {
+    totalDelegates: delegateSnapshot.length,
+    significantChanges: delegateSnapshot.filter(
+      (d) => isSignificantPowerChange(d) || isSignificantRankChange(d)
+    ).length,
+    topDelegatesByPower: delegateSnapshot.slice(0, 10),
+  };
+}
+
+// Voting data assembled from the store, or null when it is missing or stale.
+// Closed proposals never go stale; open ones refresh after ACTIVE_CACHE_DURATION.
+function getStoredVotingData(dao, proposalId) {
+  const store = getStore();
+  const progress = store.getScanProgress(dao.id, proposalId);
+  const details = store.getProposalDetails(dao.id, proposalId);
+  if (!details || details.snapshotBlock === null) {
+    return null;
+  }
+  if (
+    !isProposalClosed(details, progress) &&
+    !isFresh(progress, config.ACTIVE_CACHE_DURATION)
+  ) {
+    return null;
+  }
+
+  const delegateSnapshot = store.getDelegateSnapshot(dao.id, proposalId) || [];
+  return {
+    votes: store.getProposalVotes(dao.id, proposalId),
+    delegateSnapshot,
+    snapshotBlock: details.snapshotBlock,
+    quorum: details.quorum || fallbackQuorum(details.snapshotBlock),
+    scanStatus: {
+      lastScannedBlock: progress.lastScannedBlock,
+      gaps: progress.gaps,
+    },
+    snapshotStats: summarizeSnapshot(delegateSnapshot),
+  };
+}
+
+// Build the proposal index from the governor's ProposalCreated events. New
+// proposals are scanned from where the last scan stopped; proposals that can
+// still change state are re-read from the governor.
+async function getProposals(dao, rpcUrl) {
+  try {
+    const store = getStore();
+    const progress = store.getScanProgress(dao.id, "proposals");
+    if (!DEBUG_MODE && isFresh(progress)) {
+      return store.getProposals(dao.id);
+    }
+
+    const provider = createProvider(rpcUrl);
+    const governorContract = new ethers.Contract(
+      dao.governor,
+      governorABI,
+      provider
+    );
+    const proposalCreatedTopic =
+      governorContract.interface.getEvent("ProposalCreated").topicHash;
+
+    const fromBlock = progress
+      ? progress.lastScannedBlock + 1
+      : Number(dao.startBlock);
+    const currentBlock = await provider.getBlockNumber();
+    const { events, failedRanges } = await getLogsInChunks(
+      provider,
+      [proposalCreatedTopic],
+      fromBlock,
+      currentBlock,
+      dao.governor
+    );
+    logProgress(`Found ${events.length} new proposals`);
+
+    const known = store
+      .getProposals(dao.id)
+      .filter((proposal) => !FINAL_PROPOSAL_STATES.includes(proposal.state));
+    const created = events.map((event) => {
+      const parsed = governorContract.interface.parseLog({
+        topics: event.topics,
+        data: event.data,
+      });
+      return {
+        proposalId: parsed.args.proposalId.toString(),
+        title: getProposalTitle(parsed.args.description),
+        proposer: parsed.args.proposer,
+        startBlock: Number(parsed.args.startBlock),
+        endBlock: Number(parsed.args.endBlock),
+      };
+    });
+
+    const proposals = await Promise.all(
+      [...known, ...created].map(async (proposal) => {
+        let state = "Unknown";
+        try {
+          const stateIndex = await governorContract.state(proposal.proposalId);
+          state = PROPOSAL_STATES[Number(stateIndex)] || "Unknown";
+        } catch (error) {
+          console.warn(
+            `Failed to get state for proposal ${proposal.proposalId}:`,
+            error.message
+          );
+        }
+        return { ...proposal, state };
+      })
+    );
+    store.saveProposals(dao.id, proposals);
+
+    // Missing ranges are rescanned next time, so progress only moves on a clean scan
+    if (failedRanges.length === 0) {
+      store.saveScanProgress(dao.id, "proposals", {
+        lastScannedBlock: currentBlock,
+        gaps: [],
+      });
+      store.markRefreshed(dao.id, "proposals");
+    }
+
+    // Newest proposals first
+    return store.getProposals(dao.id);
+  } catch (error) {
+    console.error(`Error in getProposals:`, error);
+    throw error;
+  }
+}
+
+// Index every VoteCast event on the governor, continuing from the last scan.
+// Returns false when some ranges failed, so callers know the index has holes.
+async function indexGovernorVotes(dao, rpcUrl) {
+  const store = getStore();
+  const progress = store.getScanProgress(dao.id, "votes");
+  if (!DEBUG_MODE && isFresh(progress)) {
+    return true;
+  }
+
+  const provider = createProvider(rpcUrl);
+  const governorContract = new ethers.Contract(
+    dao.governor,
+    governorABI,
+    provider
+  );
+
+  const fromBlock = progress
+    ? progress.lastScannedBlock + 1
+    : Number(dao.startBlock);
+  const currentBlock = await provider.getBlockNumber();
+  const { events, failedRanges } = await getLogsInChunks(
+    provider,
+    [VOTE_EVENTS],
+    fromBlock,
+    currentBlock,
+    dao.governor
+  );
+
+  store.saveVoteEvents(
+    dao.id,
+    events.map((event) => {
+      const parsed = governorContract.interface.parseLog({
+        topics: event.topics,
+        data: event.data,
+      });
+      return {
+        proposalId: parsed.args.proposalId.toString(),
+        voter: parsed.args.voter,
+        vote: formatSupport(parsed.args.support),
+        weight: ethers.formatUnits(parsed.args.weight, 18),
+        reason: parsed.args.reason || "",
+        params: getVoteParams(parsed),
+        blockNumber: event.blockNumber,
+        transactionHash: event.transactionHash,
+        logIndex: event.index,
+      };
+    })
+  );
+  logProgress(`Indexed ${events.length} new votes`);
+
+  // Like the proposal list, progress only moves on a clean scan
+  if (failedRanges.length > 0) {
+    return false;
+  }
+  store.saveScanProgress(dao.id, "votes", {
+    lastScannedBlock: currentBlock,
+    gaps: [],
+  });
+  store.markRefreshed(dao.id, "votes");
+  return true;
+}
+
+// Every address's past votes across all proposals, keyed by lowercase voter
+// and then proposal ID, used to guess how outstanding delegates will vote
+async function getVoteHistory(dao, rpcUrl) {
+  await indexGovernorVotes(dao, rpcUrl);
+  const history = getStore().getVoteHistory(dao.id);
+  logProgress(`Loaded vote history for ${Object.keys(history).length} voters`);
+  return history;
+}
+
+// Use the first line of the description as the title, minus markdown heading marks
+function getProposalTitle(description) {
+  const firstLine = (description || "")
+    .split("\n")
+    .map((line) => line.trim())
+    .find((line) => line.length > 0);
+  return firstLine ? firstLine.replace(/^#+\s*/, "") : "Untitled proposal";
+}
+
+// Load alert rules; a missing file simply means no alerts are configured
+async function loadAlertConfig() {
+  try {
+    const data = await fs.readFile(config.ALERTS_FILE, "utf8");
+    const parsed = JSON.parse(data);
+    return {
+      webhooks: parsed.webhooks || [],
+      retries: parsed.retries ?? 3,
+      rules: parsed.rules || [],
+    };
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    console.error("Error loading alert rules:", error);
+    return null;
+  }
+}
+
+function getLeader(stats) {
+  if (stats.forVotes > stats.againstVotes) return "For";
+  if (stats.againstVotes > stats.forVotes) return "Against";
+  return "Tied";
+}
+
+// Fill {{name}} placeholders from the alert's fields
+function renderAlertMessage(template, fields) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) =>
+    fields[key] === undefined || fields[key] === null ? "" : String(fields[key])
+  );
+}
+
+// Evaluate one rule, returning { key, fields } for every match
+function matchAlertRule(rule, data, stats, state) {
+  const voteFields = (vote, extra = {}) => ({
+    voter: vote.voter,
+    ensName: vote.ensName,
+    name: vote.ensName || vote.voter,
+    vote: vote.vote,
+    weight: formatNumber(vote.weight),
+    reason: vote.reason,
+    blockNumber: vote.blockNumber,
+    ...extra,
+  });
+
+  switch (rule.type) {
+    case "quorum-reached":
+      return stats.hasReachedQuorum && !state.quorumReached
+        ? [{ key: "quorum", fields: {} }]
+        : [];
+
+    case "lead-flip": {
+      const leader = getLeader(stats);
+      const flipped =
+        leader !== "Tied" &&
+        state.leader !== "Tied" &&
+        state.leader !== undefined &&
+        leader !== state.leader;
+      return flipped
+        ? [
+            {
+              key: `lead:${leader}:${stats.totalVotes}`,
+              fields: { leader, previousLeader: state.leader },
+            },
+          ]
+        : [];
+    }
+
+    case "top-delegate-voted": {
+      const top = rule.top || 10;
+      const ranks = new Map(
+        data.delegateSnapshot.map((d) => [
+          d.address.toLowerCase(),
+          d.currentRank,
+        ])
+      );
+      return data.votes
+        .filter((vote) => {
+          const rank = ranks.get(vote.voter.toLowerCase());
+          return rank !== undefined && rank <= top;
+        })
+        .map((vote) => ({
+          key: `vote:${vote.transactionHash}-${vote.logIndex}`,
+          fields: voteFields(vote, {
+            rank: ranks.get(vote.voter.toLowerCase()),
+          }),
+        }));
+    }
+
+    case "address-voted": {
+      const watched = new Set(
+        (rule.addresses || []).map((address) => address.toLowerCase())
+      );
+      return data.votes
+        .filter((vote) => watched.has(vote.voter.toLowerCase()))
+        .map((vote) => ({
+          key: `vote:${vote.transactionHash}-${vote.logIndex}`,
+          fields: voteFields(vote),
+        }));
+    }
+
+    default:
+      console.warn(`Unknown alert rule type "${rule.type}" in ${rule.name}`);
+      return [];
+  }
+}
+
+// POST an alert to a webhook, retrying with exponential backoff
+async function deliverWebhook(url, payload, retries) {
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    try {
+      const response = await fetch(url, {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(10000),
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      return;
+    } catch (error) {
+      if (attempt === retries) {
+        console.error(
+          `Webhook ${url} failed after ${retries + 1} attempts:`,
+          error.message
+        );
+        return;
+      }
+      console.warn(`Webhook ${url} failed, retrying:`, error.message);
+      await new Promise((resolve) => setTimeout(resolve, 1000 * 2 ** attempt));
+    }
+  }
+}
+
+// Pending alert check per DAO and proposal
+const alertChecks = new Map();
+
+// Check alert rules against freshly loaded vote data and notify webhooks. Checks
+// of one proposal run in turn, so concurrent loads can't send the same alert twice.
+function checkAlerts(dao, proposalId, data) {
+  const key = `${dao.id}:${proposalId}`;
+  const check = (alertChecks.get(key) || Promise.resolve()).then(() =>
+    runAlertCheck(dao, proposalId, data)
+  );
+  const settled = check.catch(() => {});
+  alertChecks.set(key, settled);
+  settled.then(() => {
+    if (alertChecks.get(key) === settled) alertChecks.delete(key);
+  });
+  return check;
+}
+
+async function runAlertCheck(dao, proposalId, data) {
+  const alertConfig = await loadAlertConfig();
+  if (!alertConfig || alertConfig.rules.length === 0) return;
+
+  const stats = calculateVoteStats(data);
+  // Last seen leader and quorum, and the dedupe keys already sent
+  const previous = getStore().getAlertState(dao.id, proposalId);
+  const state = previous || { sent: {} };
+  const alerts = [];
+
+  // Rules without a "dao" apply to every DAO
+  const rules = alertConfig.rules.filter(
+    (rule) => !rule.dao || rule.dao === dao.id
+  );
+
+  rules.forEach((rule) => {
+    const sent = new Set(state.sent[rule.name] || []);
+    const matches = matchAlertRule(rule, data, stats, state).filter(
+      (match) => !sent.has(match.key)
+    );
+
+    matches.forEach((match) => {
+      sent.add(match.key);
+      // The first evaluation only records a baseline, so restarts don't replay history
+      if (!previous) return;
+
+      const fields = {
+        dao: dao.name,
+        proposalId: proposalId.toString(),
+        rule: rule.name,
+        forVotes: formatStatNumber(stats.forVotes),
+        againstVotes: formatStatNumber(stats.againstVotes),
+        abstainVotes: formatStatNumber(stats.abstainVotes),
+        quorumVotes: formatStatNumber(stats.quorumVotes),
+        requiredQuorum: formatStatNumber(stats.requiredQuorum),
+        ...match.fields,
+      };
+      alerts.push({
+        webhooks: rule.webhooks || alertConfig.webhooks,
+        payload: {
+          rule: rule.name,
+          type: rule.type,
+          dao: dao.id,
+          proposalId: proposalId.toString(),
+          message: renderAlertMessage(
+            rule.message || `${rule.name} triggered on proposal {{proposalId}}`,
+            fields
+          ),
+          fields: match.fields,
+          stats: stats,
+          timestamp: new Date().toISOString(),
+        },
+      });
+    });
+
+    state.sent[rule.name] = [...sent];
+  });
+
+  state.quorumReached = stats.hasReachedQuorum;
+  // Ties keep the previous leader so For -> Tied -> Against still counts as a flip
+  const leader = getLeader(stats);
+  if (leader !== "Tied" || state.leader === undefined) {
+    state.leader = leader;
+  }
+  getStore().saveAlertState(dao.id, proposalId, state);
+
+  // Deliver in the background so slow webhooks don't hold up the page
+  alerts.forEach((alert) => {
+    logProgress(`Alert ${alert.payload.rule}: ${alert.payload.message}`);
+    alert.webhooks.forEach((url) =>
+      deliverWebhook(url, alert.payload, alertConfig.retries)
+    );
+  });
+}
+
+// Cross-proposal voting history for one delegate
+async function getDelegateProfile(dao, addressOrEns, rpcUrl) {
+  const provider = createProvider(rpcUrl);
+
+  let address;
+  if (ethers.isAddress(addressOrEns)) {
+    address = ethers.getAddress(addressOrEns);
+  } else {
+    address = await provider.resolveName(addressOrEns);
+    if (!address) {
+      const error = new Error(
+        `Could not resolve ${addressOrEns} to an address`
+      );
+      error.status = 404;
+      throw error;
+    }
+  }
+
+  if (!DEBUG_MODE) {
+    const cached = getStore().getDelegateProfile(dao.id, address);
+    if (cached && cached.builtAt + config.CACHE_DURATION * 1000 >= Date.now()) {
+      return cached.profile;
+    }
+  }
+
+  const governorContract = new ethers.Contract(
+    dao.governor,
+    governorABI,
+    provider
+  );
+  const token = new ethers.Contract(dao.token, TOKEN_ABI, provider);
+
+  const identity = await resolveIdentity(address, provider);
+  const proposals = await getProposals(dao, rpcUrl);
+  const currentBlock = await provider.getBlockNumber();
+
+  // Votes come from the governor-wide index shared with the vote predictions
+  const complete = await indexGovernorVotes(dao, rpcUrl);
+  const votesByProposal = new Map(
+    getStore()
+      .getVoterVotes(dao.id, address)
+      .map(({ proposalId, ...vote }) => [proposalId, vote])
+  );
+
+  const currentVotingPower = parseFloat(
+    ethers.formatUnits(await token.getVotes(address), 18)
+  );
+
+  const history = await Promise.all(
+    proposals.map(async (proposal) => {
+      let votingPower = 0;
+      // getPastVotes only answers for blocks that are already mined
+      if (proposal.startBlock < currentBlock) {
+        try {
+          votingPower = parseFloat(
+            ethers.formatUnits(
+              await token.getPastVotes(address, proposal.startBlock),
+              18
+            )
+          );
+        } catch (error) {
+          console.warn(
+            `Failed to get votes for ${address} at ${proposal.startBlock}:`,
+            error.message
+          );
+        }
+      }
+
+      return {
+        proposalId: proposal.proposalId,
+        title: proposal.title,
+        state: proposal.state,
+        snapshotBlock: proposal.startBlock,
+        votingPower: votingPower,
+        vote: votesByProposal.get(proposal.proposalId) || null,
+      };
+    })
+  );
+
+  // Eligible: had voting power at the snapshot. Open proposals only count once voted on.
+  const eligible = history.filter(
+    (p) => p.votingPower > 0 && p.state !== "Pending"
+  );
+  const voted = history.filter((p) => p.vote);
+  const skipped = eligible.filter((p) => !p.vote && p.state !== "Active");
+  const considered = voted.length + skipped.length;
+
+  const profile = {
+    address,
+    ensName: identity.name,
+    avatar: identity.avatar,
+    currentVotingPower,
+    participation: {
+      voted: voted.length,
+      eligible: considered,
+      rate: considered > 0 ? voted.length / considered : null,
+    },
+    votes: voted,
+    skipped: skipped,
+    votingPowerHistory: history
+      .filter((p) => p.state !== "Pending")
+      .map((p) => ({
+        proposalId: p.proposalId,
+        snapshotBlock: p.snapshotBlock,
+        votingPower: p.votingPower,
+      })),
+  };
+
+  // A history with holes is shown but not cached, so the next load retries
+  if (!DEBUG_MODE && complete) {
+    getStore().saveDelegateProfile(dao.id, address, profile);
+  }
+
+  return profile;
+}
+
+// Simple express server to view results
+const app = express();
+
+// Pages only load the bundled stylesheet and script, so inline markup can never run
+const CONTENT_SECURITY_POLICY = [
+  "default-src 'self'",
+  "script-src 'self'",
+  "style-src 'self'",
+  "img-src 'self' https: data:",
+  "connect-src 'self'",
+  "object-src 'none'",
+  "base-uri 'none'",
+  "form-action 'self'",
+  "frame-ancestors 'none'",
+].join("; ");
+
+app.use((req, res, next) => {
+  res.set("Content-Security-Policy", CONTENT_SECURITY_POLICY);
+  next();
+});
+
+app.use("/static", express.static(path.join(__dirname, "public")));
+
+const TABLE_VIEWS = ["all", "for", "against", "abstain", "notvoted"];
+const TABLE_SORTS = ["time", "weight", "voter", "vote", "power"];
+const TABLE_PAGE_SIZE = 50; // Rows per page when no limit is given
+const TABLE_MAX_PAGE_SIZE = 500;
+
+// Table options from the query string, shared by the page, the API and exports
+function parseTableParams(query) {
+  const number = (value) => {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) ? parsed : null;
+  };
+  const page = parseInt(query.page, 10);
+  const limit = parseInt(query.limit, 10);
+
+  return {
+    viewFilter: TABLE_VIEWS.includes(query.view) ? query.view : "all",
+    sortBy: TABLE_SORTS.includes(query.sort) ? query.sort : "time",
+    sortDir: query.dir === "asc" ? "asc" : "desc",
+    search: typeof query.q === "string" ? query.q.trim() : "",
+    minWeight: number(query.min),
+    maxWeight: number(query.max),
+    page: page > 0 ? page : 1,
+    // null leaves the API and exports unpaginated; the page uses TABLE_PAGE_SIZE
+    limit: limit > 0 ? Math.min(limit, TABLE_MAX_PAGE_SIZE) : null,
+  };
+}
+
+// One page of rows, clamping `page` to the last one
+function paginate(rows, page, limit) {
+  const pageCount = Math.max(1, Math.ceil(rows.length / limit));
+  const current = Math.min(page, pageCount);
+  return {
+    rows: rows.slice((current - 1) * limit, current * limit),
+    total: rows.length,
+    page: current,
+    pageCount,
+    limit,
+  };
+}
+
+const REASON_VIEWS = ["all", "for", "against", "abstain"];
+const REASON_SORTS = ["weight", "length"];
+
+// Reason search options from the query string, shared by the pages and the API
+function parseReasonParams(query) {
+  return {
+    search: typeof query.q === "string" ? query.q.trim() : "",
+    voteFilter: REASON_VIEWS.includes(query.vote) ? query.vote : "all",
+    sortBy: REASON_SORTS.includes(query.sort) ? query.sort : "weight",
+    sortDir: query.dir === "asc" ? "asc" : "desc",
+  };
+}
+
+// Non-empty reasons matching every search term in the reason, voter or proposal title
+function filterReasons(items, { search, voteFilter, sortBy, sortDir }) {
+  const terms = search.toLowerCase().split(/\s+/).filter(Boolean);
+  const sortValue = (item) =>
+    sortBy === "length" ? item.reason.length : parseFloat(item.weight);
+
+  return items
+    .filter(
+      (item) => voteFilter === "all" || item.vote.toLowerCase() === voteFilter
+    )
+    .filter((item) => {
+      const text = [item.reason, item.ensName, item.voter, item.title]
+        .filter(Boolean)
+        .join(" ")
+        .toLowerCase();
+      return terms.every((term) => text.includes(term));
+    })
+    .sort((a, b) =>
+      sortDir === "asc"
+        ? sortValue(a) - sortValue(b)
+        : sortValue(b) - sortValue(a)
+    );
+}
+
+function getProposalReasons(data) {
+  return data.votes.filter((vote) => vote.reason.trim());
+}
+
+// Every reason a delegate has written, with the proposal it was written for
+function getDelegateReasons(profile) {
+  return profile.votes
+    .filter((p) => p.vote.reason.trim())
+    .map((p) => ({
+      proposalId: p.proposalId,
+      title: p.title,
+      vote: p.vote.vote,
+      weight: p.vote.weight,
+      reason: p.vote.reason,
+      blockNumber: p.vote.blockNumber,
+      transactionHash: p.vote.transactionHash,
+    }));
+}
+
+function validateProposalId(proposalId) {
+  if (!proposalId) {
+    const error = new Error("Proposal ID is required");
+    error.status = 400;
+    throw error;
+  }
+  try {
+    // Handle string inputs of large numbers properly
+    return BigInt(proposalId.toString());
+  } catch (cause) {
+    const error = new Error("Invalid proposal ID format");
+    error.status = 400;
+    throw error;
+  }
+}
+
+function validateAddress(address) {
+  if (!ethers.isAddress(address)) {
+    const error = new Error("Invalid address format");
+    error.status = 400;
+    throw error;
+  }
+  return ethers.getAddress(address);
+}
+
+const CUSTOM_RPC_LIMIT = 20; // RPC URLs from the `rpc` parameter remembered at once
+
+function isConfiguredRPC(rpcUrl) {
+  return rpcUrl === config.RPC_URL || config.RPC_URLS.includes(rpcUrl);
+}
+
+// Look up or create the entry for an RPC URL. Configured endpoints stay for
+// good; any client can pass `rpc`, so only the most recently used
+// CUSTOM_RPC_LIMIT other URLs are kept.
+function rememberRPC(cache, rpcUrl, create) {
+  const value = cache.has(rpcUrl) ? cache.get(rpcUrl) : create();
+  // Maps iterate in insertion order, so re-inserting marks the URL as recent
+  cache.delete(rpcUrl);
+  cache.set(rpcUrl, value);
+
+  const custom = [...cache.keys()].filter((url) => !isConfiguredRPC(url));
+  custom
+    .slice(0, Math.max(0, custom.length - CUSTOM_RPC_LIMIT))
+    .forEach((url) => cache.delete(url));
+  return value;
+}
+
+// Health of the RPC endpoints we have talked to, keyed by URL
+const rpcEndpoints = new Map();
+
+function getRPCEndpoint(rpcUrl) {
+  return rememberRPC(rpcEndpoints, rpcUrl, () => ({
+    url: rpcUrl,
+    healthy: true,
+    lastChecked: null,
+    lastError: null,
+  }));
+}
+
+// The chosen RPC first, then the configured endpoints in order
+function getRPCPool(rpcUrl = config.RPC_URL) {
+  const urls = [rpcUrl, config.RPC_URL, ...config.RPC_URLS];
+  return [...new Set(urls)].map(getRPCEndpoint);
+}
+
+// JSON-RPC provider that fails over to the next healthy endpoint on errors or timeouts
+class FailoverProvider extends ethers.JsonRpcProvider {
+  constructor(rpcUrl) {
+    super(rpcUrl);
+    this.rpcUrl = rpcUrl;
+  }
+
+  async _send(payload) {
+    const pool = getRPCPool(this.rpcUrl);
+    // Healthy endpoints first, unhealthy ones only as a last resort
+    const ordered = [
+      ...pool.filter((endpoint) => endpoint.healthy),
+      ...pool.filter((endpoint) => !endpoint.healthy),
+    ];
+
+    let lastError;
+    for (const endpoint of ordered) {
+      try {
+        const result = await sendRPCRequest(
+          endpoint.url,
+          payload,
+          config.RPC_TIMEOUT
+        );
+        endpoint.healthy = true;
+        return result;
+      } catch (error) {
+        console.warn(`RPC request to ${endpoint.url} failed:`, error.message);
+        endpoint.healthy = false;
+        endpoint.lastChecked = Date.now();
+        endpoint.lastError = error.message;
+        lastError = error;
+      }
+    }
+
+    throw lastError;
+  }
+}
+
+async function sendRPCRequest(rpcUrl, payload, timeout) {
+  if (config.RPC_MODE === "replay") {
+    return replayRPCRequest(payload);
+  }
+
+  const request = new ethers.FetchRequest(rpcUrl);
+  request.body = JSON.stringify(payload);
+  request.setHeader("content-type", "application/json");
+  request.timeout = Number(timeout);
+
+  const response = await request.send();
+  response.assertOk();
+
+  const result = response.bodyJson;
+  const results = Array.isArray(result) ? result : [result];
+
+  if (config.RPC_MODE === "record") {
+    await recordRPCResponses(payload, results);
+  }
+
+  return results;
+}
+
+// Recorded JSON-RPC responses, so the dashboard and tests can run without a node.
+// Requests are matched on method and params, whichever endpoint they were sent to.
+let rpcFixture = null; // Promise of a Map from request key to recorded response
+let rpcFixtureWrite = Promise.resolve();
+
+function rpcFixtureKey(request) {
+  return `${request.method}:${JSON.stringify(request.params)}`;
+}
+
+function loadRPCFixture() {
+  if (!rpcFixture) {
+    rpcFixture = fs
+      .readFile(config.RPC_FIXTURE, "utf8")
+      .then((data) => new Map(Object.entries(JSON.parse(data).responses)))
+      .catch((error) => {
+        // Recording may start from scratch, replaying needs the fixture
+        if (error.code === "ENOENT" && config.RPC_MODE === "record") {
+          return new Map();
+        }
+        throw error;
+      });
+  }
+  return rpcFixture;
+}
+
+async function recordRPCResponses(payload, results) {
+  const responses = await loadRPCFixture();
+  [].concat(payload).forEach((request) => {
+    const response = results.find((r) => r.id === request.id);
+    if (response) {
+      responses.set(
+        rpcFixtureKey(request),
+        response.error ? { error: response.error } : { result: response.result }
+      );
+    }
+  });
+
+  // Sorted keys keep re-recorded fixtures diffable
+  const fixture = {
+    recordedAt: new Date().toISOString(),
+    responses: Object.fromEntries([...responses].sort()),
+  };
+  rpcFixtureWrite = rpcFixtureWrite
+    .then(() =>
+      fs.writeFile(config.RPC_FIXTURE, `${JSON.stringify(fixture, null, 2)}\n`)
+    )
+    .catch((error) => console.error("Error saving RPC fixture:", error));
+  await rpcFixtureWrite;
+}
+
+async function replayRPCRequest(payload) {
+  const responses = await loadRPCFixture();
+  return [].concat(payload).map((request) => {
+    const recorded = responses.get(rpcFixtureKey(request));
+    if (!recorded) {
+      console.warn(`No recorded RPC response for ${rpcFixtureKey(request)}`);
+      return {
+        jsonrpc: "2.0",
+        id: request.id,
+        error: { code: -32000, message: "No recorded response" },
+      };
+    }
+    return { jsonrpc: "2.0", id: request.id, ...recorded };
+  });
+}
+
+// Providers are reused per chosen RPC so network detection happens once
+const providers = new Map();
+
+// Fix the RPC provider creation
+function createProvider(rpcUrl = config.RPC_URL) {
+  try {
+    return rememberRPC(providers, rpcUrl, () => new FailoverProvider(rpcUrl));
+  } catch (error) {
+    console.error("Failed to create provider:", error);
+    throw error;
+  }
+}
+
+// Update the RPC status check
+async function checkRPCStatus(rpcUrl) {
+  const endpoint = getRPCEndpoint(rpcUrl);
+  try {
+    await sendRPCRequest(
+      rpcUrl,
+      { jsonrpc: "2.0", id: 1, method: "eth_chainId", params: [] },
+      5000
+    );
+    endpoint.healthy = true;
+    endpoint.lastError = null;
+    return true;
+  } catch (error) {
+    console.warn(`RPC check failed for ${rpcUrl}:`, error.message);
+    endpoint.healthy = false;
+    endpoint.lastError = error.message;
+    return false;
+  } finally {
+    endpoint.lastChecked = Date.now();
+  }
+}
+
+// The pool's health as last seen by requests and checks, without contacting it;
+// it is active while any endpoint is healthy
+function getRPCPoolStatus(rpcUrl) {
+  const pool = getRPCPool(rpcUrl);
+  return {
+    active: pool.some((endpoint) => endpoint.healthy),
+    healthyCount: pool.filter((endpoint) => endpoint.healthy).length,
+    endpoints: pool.map((endpoint) => ({ ...endpoint })),
+  };
+}
+
+// Check every endpoint in the pool
+async function checkRPCPool(rpcUrl) {
+  await Promise.all(
+    getRPCPool(rpcUrl).map((endpoint) => checkRPCStatus(endpoint.url))
+  );
+  return getRPCPoolStatus(rpcUrl);
+}
+
+// Update the route handler to use this default
+app.get("/", async (req, res) => {
+  try {
+    const dao = await getDAO(req.query.dao);
+    const rpcUrl = req.query.rpc || config.RPC_URL;
+
+    // DAOs without a default proposal start from their proposal list
+    if (!req.query.proposal && !dao.defaultProposal) {
+      return res.redirect(pageUrl("/proposals", { dao: dao.id, rpc: rpcUrl }));
+    }
+
+    const proposalId = validateProposalId(
+      req.query.proposal || dao.defaultProposal
+    );
+    const tableParams = parseTableParams(req.query);
+    const { viewFilter, sortBy, sortDir } = tableParams;
+
+    const data = await getVotingData(dao, proposalId, rpcUrl);
+    // The periodic health check keeps this current; page loads don't ping the pool
+    const rpcStatus = getRPCPoolStatus(rpcUrl);
+    const stats = calculateVoteStats(data);
+
+    const pagination = paginate(
+      await getTableData(data, tableParams, rpcUrl),
+      tableParams.page,
+      tableParams.limit || TABLE_PAGE_SIZE
+    );
+    let tableData = pagination.rows;
+    let projection = null;
+
+    // The Not Yet Voted view also shows what the outstanding delegates could change
+    if (viewFilter === "notvoted") {
+      projection = await getVoteProjection(dao, proposalId, data, rpcUrl);
+      const guesses = new Map(
+        projection.delegates.map((delegate) => [delegate.address, delegate])
+      );
+      tableData = tableData.map((delegate) => ({
+        ...delegate,
+        projection: guesses.get(delegate.address),
+      }));
+    }
+
+    res.send(
+      String(
+        renderProposalPage({
+          dao,
+          daos: [...(await loadDAOProfiles()).values()],
+          proposalId,
+          rpcUrl,
+          rpcStatus,
+          viewFilter,
+          sortBy,
+          sortDir,
+          filters: tableParams,
+          pagination,
+          data,
+          stats,
+          timeline: calculateVoteTimeline(data),
+          projection,
+          tableData,
+        })
+      )
+    );
+  } catch (error) {
+    if (!error.status) {
+      console.error(`Error processing request:`, error);
+    }
+    res.status(error.status || 500).send(String(renderError(error)));
+  }
+});
+
+// Table row listing a voter's delegators, inserted under the vote row by dashboard.js
+app.get("/delegators", async (req, res) => {
+  try {
+    const dao = await getDAO(req.query.dao);
+    const proposalId = validateProposalId(
+      req.query.proposal || dao.defaultProposal
+    );
+    const backing = await getSnapshotDelegators(
+      dao,
+      proposalId,
+      validateAddress(req.query.voter),
+      req.query.rpc
+    );
+    res.send(String(generateDelegatorsRow(backing, dao)));
+  } catch (error) {
+    if (!error.status) {
+      console.error(`Error processing request:`, error);
+    }
+    res.status(error.status || 500).send(String(renderError(error)));
+  }
+});
+
+// Delegate registry drift at a proposal's snapshot
+app.get("/drift", async (req, res) => {
+  try {
+    const dao = await getDAO(req.query.dao);
+    const proposalId = validateProposalId(
+      req.query.proposal || dao.defaultProposal
+    );
+    const rpcUrl = req.query.rpc || config.RPC_URL;
+
+    const data = await getVotingData(dao, proposalId, rpcUrl);
+    const report = calculateDriftReport(data.delegateSnapshot);
+    const identify = (delegates) => withIdentities(delegates, rpcUrl);
+
+    res.send(
+      String(
+        renderDriftPage({
+          dao,
+          proposalId,
+          rpcUrl,
+          snapshotBlock: data.snapshotBlock,
+          report: {
+            ...report,
+            gained: await identify(report.gained),
+            lost: await identify(report.lost),
+            rankMovers: await identify(report.rankMovers),
+            droppedOut: await identify(report.droppedOut),
+          },
+        })
+      )
+    );
+  } catch (error) {
+    if (!error.status) {
+      console.error(`Error processing request:`, error);
+    }
+    res.status(error.status || 500).send(String(renderError(error)));
+  }
+});
+
+// Voter sets of two proposals side by side; without `other` only the form shows
+app.get("/compare", async (req, res) => {
+  try {
+    const dao = await getDAO(req.query.dao);
+    const proposalId = validateProposalId(
+      req.query.proposal || dao.defaultProposal
+    );
+    const otherId = req.query.other
+      ? validateProposalId(req.query.other)
+      : null;
+    const rpcUrl = req.query.rpc || config.RPC_URL;
+
+    let comparison = null;
+    if (otherId !== null) {
+      const first = await getVotingData(dao, proposalId, rpcUrl);
+      const second = await getVotingData(dao, otherId, rpcUrl);
+      comparison = compareProposals(first, second);
+    }
+
+    res.send(
+      String(
+        renderComparePage({ dao, proposalId, otherId, rpcUrl, comparison })
+      )
+    );
+  } catch (error) {
+    if (!error.status) {
+      console.error(`Error processing request:`, error);
+    }
+    res.status(error.status || 500).send(String(renderError(error)));
+  }
+});
+
+// Every written reason for a proposal, searchable and sortable
+app.get("/reasons", async (req, res) => {
+  try {
+    const dao = await getDAO(req.query.dao);
+    const proposalId = validateProposalId(
+      req.query.proposal || dao.defaultProposal
+    );
+    const rpcUrl = req.query.rpc || config.RPC_URL;
+    const filters = parseReasonParams(req.query);
+
+    const data = await getVotingData(dao, proposalId, rpcUrl);
+    const reasons = getProposalReasons(data);
+
+    res.send(
+      String(
+        renderReasonsPage({
+          dao,
+          proposalId,
+          rpcUrl,
+          reasons: filterReasons(reasons, filters),
+          total: reasons.length,
+          filters,
+        })
+      )
+    );
+  } catch (error) {
+    if (!error.status) {
+      console.error(`Error processing request:`, error);
+    }
+    res.status(error.status || 500).send(String(renderError(error)));
+  }
+});
+
+// Proposal index built from ProposalCreated events
+app.get("/proposals", async (req, res) => {
+  try {
+    const dao = await getDAO(req.query.dao);
+    const rpcUrl = req.query.rpc || config.RPC_URL;
+    const proposals = await getProposals(dao, rpcUrl);
+
+    res.send(String(renderProposalsPage({ dao, proposals, rpcUrl })));
+  } catch (error) {
+    if (!error.status) {
+      console.error(`Error processing request:`, error);
+    }
+    res.status(error.status || 500).send(String(renderError(error)));
+  }
+});
+
+// JSON API alongside the HTML dashboard
+function apiHandler(handler) {
+  return async (req, res) => {
+    let dao;
+    let proposalId;
+    try {
+      dao = await getDAO(req.query.dao);
+      proposalId = validateProposalId(req.params.id);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    try {
+      res.json(await handler(dao, proposalId, req));
+    } catch (error) {
+      // Handlers set `status` on errors that are the caller's fault
+      if (!error.status) {
+        console.error(`Error processing API request:`, error);
+      }
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  };
+}
+
+// Plain vote record for the API, without the dashboard's markup
+function serializeVote(vote) {
+  return {
+    voter: vote.voter,
+    ensName: vote.ensName,
+    vote: vote.vote,
+    weight: vote.weight,
+    votingPower: vote.votingPower,
+    timestamp: vote.isoTimestamp,
+    blockNumber: vote.blockNumber,
+    transactionHash: vote.transactionHash,
+    reason: vote.reason,
+    params: vote.params,
+  };
+}
+
+async function serializeNotVotedDelegates(delegates, rpcUrl) {
+  const provider = createProvider(rpcUrl);
+
+  return Promise.all(
+    delegates.map(async (delegate) => ({
+      address: delegate.address,
+      ensName: (await resolveIdentity(delegate.address, provider)).name,
+      actualVotingPower: delegate.actualVotingPower,
+      expectedVotingPower: delegate.expectedVotingPower,
+      votingPowerChange: delegate.votingPowerChange,
+      rank: delegate.rank,
+      currentRank: delegate.currentRank,
+      rankChange: delegate.rankChange,
+      delegations: delegate.delegations,
+    }))
+  );
+}
+
+app.get("/api/daos", async (req, res) => {
+  res.json([...(await loadDAOProfiles()).values()]);
+});
+
+app.get("/api/proposals", async (req, res) => {
+  try {
+    const dao = await getDAO(req.query.dao);
+    res.json(await getProposals(dao, req.query.rpc || config.RPC_URL));
+  } catch (error) {
+    if (!error.status) {
+      console.error(`Error processing API request:`, error);
+    }
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.get(
+  "/api/proposals/:id",
+  apiHandler(async (dao, proposalId, req) => {
+    const data = await getVotingData(dao, proposalId, req.query.rpc);
+
+    return {
+      proposalId: proposalId.toString(),
+      snapshotBlock: data.snapshotBlock,
+      quorum: data.quorum,
+      scanStatus: data.scanStatus,
+      stats: calculateVoteStats(data),
+      snapshotStats: data.snapshotStats,
+    };
+  })
+);
+
+app.get(
+  "/api/proposals/:id/timeline",
+  apiHandler(async (dao, proposalId, req) => {
+    const data = await getVotingData(dao, proposalId, req.query.rpc);
+
+    return calculateVoteTimeline(data);
+  })
+);
+
+app.get(
+  "/api/proposals/:id/delegators/:address",
+  apiHandler(async (dao, proposalId, req) =>
+    getSnapshotDelegators(
+      dao,
+      proposalId,
+      validateAddress(req.params.address),
+      req.query.rpc
+    )
+  )
+);
+
+app.get(
+  "/api/proposals/:id/drift",
+  apiHandler(async (dao, proposalId, req) => {
+    const data = await getVotingData(dao, proposalId, req.query.rpc);
+
+    return {
+      snapshotBlock: data.snapshotBlock,
+      ...calculateDriftReport(data.delegateSnapshot),
+    };
+  })
+);
+
+app.get(
+  "/api/proposals/:id/compare/:otherId",
+  apiHandler(async (dao, proposalId, req) => {
+    const otherId = validateProposalId(req.params.otherId);
+    const first = await getVotingData(dao, proposalId, req.query.rpc);
+    const second = await getVotingData(dao, otherId, req.query.rpc);
+    const { turnout, ...groups } = compareProposals(first, second);
+    const serializeEntry = ({ voter, first, second }) => ({
+      voter,
+      first: first && serializeVote(first),
+      second: second && serializeVote(second),
+    });
+
+    return {
+      first: proposalId.toString(),
+      second: otherId.toString(),
+      turnout,
+      ...Object.fromEntries(
+        Object.entries(groups).map(([group, entries]) => [
+          group,
+          entries.map(serializeEntry),
+        ])
+      ),
+    };
+  })
+);
+
+app.get(
+  "/api/proposals/:id/reasons",
+  apiHandler(async (dao, proposalId, req) => {
+    const data = await getVotingData(dao, proposalId, req.query.rpc);
+
+    return filterReasons(
+      getProposalReasons(data),
+      parseReasonParams(req.query)
+    ).map(serializeVote);
+  })
+);
+
+app.get(
+  "/api/proposals/:id/projection",
+  apiHandler(async (dao, proposalId, req) => {
+    const data = await getVotingData(dao, proposalId, req.query.rpc);
+
+    return getVoteProjection(dao, proposalId, data, req.query.rpc);
+  })
+);
+
+app.get(
+  "/api/proposals/:id/votes",
+  apiHandler(async (dao, proposalId, req) => {
+    const tableParams = parseTableParams(req.query);
+    const { viewFilter } = tableParams;
+
+    const data = await getVotingData(dao, proposalId, req.query.rpc);
+    let tableData = await getTableData(data, tableParams, req.query.rpc);
+    if (tableParams.limit) {
+      tableData = paginate(tableData, tableParams.page, tableParams.limit).rows;
+    }
+
+    return viewFilter === "notvoted"
+      ? serializeNotVotedDelegates(tableData, req.query.rpc)
+      : tableData.map(serializeVote);
+  })
+);
+
+app.get(
+  "/api/proposals/:id/not-voted",
+  apiHandler(async (dao, proposalId, req) => {
+    const data = await getVotingData(dao, proposalId, req.query.rpc);
+    const delegates = await getNotVotedDelegates(
+      data.delegateSnapshot,
+      data.votes
+    );
+
+    return serializeNotVotedDelegates(delegates, req.query.rpc);
+  })
+);
+
+// Download the current table as CSV or JSON, honoring view, sort, dir and
+// filters. Every matching row is included, not just the current page.
+const EXPORT_COLUMNS = {
+  votes: [
+    ["voter", "Voter Address"],
+    ["ensName", "ENS Name"],
+    ["vote", "Vote"],
+    ["weight", "Weight"],
+    ["blockNumber", "Block"],
+    ["timestamp", "Timestamp"],
+    ["reason", "Reason"],
+    ["params", "Params"],
+  ],
+  notvoted: [
+    ["address", "Delegate Address"],
+    ["ensName", "ENS Name"],
+    ["actualVotingPower", "Voting Power"],
+    ["currentRank", "Rank"],
+    ["rankChange", "Rank Change"],
+  ],
+};
+
+function toCSV(rows, columns) {
+  const escape = (value) => {
+    let text = value === null || value === undefined ? "" : String(value);
+    // Spreadsheets run text starting with these as a formula, so reasons and
+    // ENS names are kept as text with a leading quote
+    if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+      return `"${text.replace(/"/g, '""')}"`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [
+    columns.map(([, header]) => escape(header)).join(","),
+    ...rows.map((row) => columns.map(([key]) => escape(row[key])).join(",")),
+  ].join("\r\n");
+}
+
+app.get("/export", async (req, res) => {
+  try {
+    const dao = await getDAO(req.query.dao);
+    const proposalId = validateProposalId(
+      req.query.proposal || dao.defaultProposal
+    );
+    const tableParams = parseTableParams(req.query);
+    const { viewFilter } = tableParams;
+    const format = req.query.format === "json" ? "json" : "csv";
+
+    const rpcUrl = req.query.rpc || config.RPC_URL;
+
+    const data = await getVotingData(dao, proposalId, rpcUrl);
+    const tableData = await getTableData(data, tableParams, rpcUrl);
+    const rows =
+      viewFilter === "notvoted"
+        ? await serializeNotVotedDelegates(tableData, rpcUrl)
+        : tableData.map(serializeVote);
+    const columns =
+      viewFilter === "notvoted"
+        ? EXPORT_COLUMNS.notvoted
+        : EXPORT_COLUMNS.votes;
+
+    const fileName = `${dao.id}-proposal-${proposalId
+      .toString()
+      .substring(0, 10)}-${viewFilter}.${format}`;
+    res.attachment(fileName);
+
+    if (format === "json") {
+      res.json(
+        rows.map((row) =>
+          Object.fromEntries(columns.map(([key]) => [key, row[key]]))
+        )
+      );
+    } else {
+      res.type("text/csv").send(toCSV(rows, columns));
+    }
+  } catch (error) {
+    if (!error.status) {
+      console.error(`Error processing request:`, error);
+    }
+    res.status(error.status || 500).send(String(renderError(error)));
+  }
+});
+
+// Live vote feeds, one poller per proposal shared by every connected browser
+const liveFeeds = new Map();
+
+function sendEvent(res, event, payload) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+}
+
+function broadcastEvent(feed, event, payload) {
+  feed.clients.forEach((res) => sendEvent(res, event, payload));
+}
+
+function voteKey(vote) {
+  return `${vote.transactionHash}-${vote.logIndex}`;
+}
+
+async function pollLiveFeed(feed) {
+  // Skip a tick rather than overlap scans on a slow node
+  if (feed.polling) return;
+  feed.polling = true;
+
+  try {
+    const data = await getVotingData(feed.dao, feed.proposalId, feed.rpcUrl, {
+      refresh: true,
+    });
+    const newVotes = data.votes.filter((vote) => !feed.seen.has(voteKey(vote)));
+
+    newVotes.forEach((vote) => {
+      feed.seen.add(voteKey(vote));
+      broadcastEvent(feed, "vote", {
+        vote: serializeVote(vote),
+        html: String(generateVoteRow(vote, feed.dao)),
+      });
+    });
+
+    if (newVotes.length > 0) {
+      const stats = calculateVoteStats(data);
+      broadcastEvent(feed, "stats", {
+        stats,
+        html: String(generateStatsGrid(stats)),
+        timelineHtml: String(
+          generateTimelineChart(calculateVoteTimeline(data))
+        ),
+      });
+    } else {
+      // Comment line keeps proxies from closing an idle stream
+      feed.clients.forEach((res) => res.write(": ping\n\n"));
+    }
+
+    if (isStoredProposalClosed(feed.dao, feed.proposalId)) {
+      closeLiveFeed(feed);
+    }
+  } catch (error) {
+    console.warn(
+      `Live feed poll failed for ${feed.proposalId}:`,
+      error.message
+    );
+  } finally {
+    feed.polling = false;
+  }
+}
+
+// Once voting has closed and every vote is stored, no new votes can arrive
+function isStoredProposalClosed(dao, proposalId) {
+  const store = getStore();
+  return isProposalClosed(
+    store.getProposalDetails(dao.id, proposalId),
+    store.getScanProgress(dao.id, proposalId)
+  );
+}
+
+// Tell the browsers to stop listening, then stop polling
+function closeLiveFeed(feed) {
+  broadcastEvent(feed, "closed", {});
+  feed.clients.forEach((res) => res.end());
+  feed.clients.clear();
+  clearInterval(feed.timer);
+  liveFeeds.delete(feed.key);
+  console.log(`Live feed closed for proposal ${feed.key}`);
+}
+
+function subscribeLiveFeed(dao, proposalId, rpcUrl, data, res) {
+  const key = `${dao.id}:${proposalId}`;
+  let feed = liveFeeds.get(key);
+
+  if (!feed) {
+    feed = {
+      key,
+      dao,
+      proposalId,
+      rpcUrl,
+      clients: new Set(),
+      seen: new Set(data.votes.map(voteKey)),
+      polling: false,
+    };
+    feed.timer = setInterval(
+      () => pollLiveFeed(feed),
+      config.LIVE_POLL_INTERVAL * 1000
+    );
+    liveFeeds.set(key, feed);
+    console.log(`Live feed started for proposal ${key}`);
+  }
+
+  feed.clients.add(res);
+
+  return () => {
+    feed.clients.delete(res);
+    // A closed feed is already stopped, and a new one may use its key
+    if (feed.clients.size === 0 && liveFeeds.get(key) === feed) {
+      clearInterval(feed.timer);
+      liveFeeds.delete(key);
+      console.log(`Live feed stopped for proposal ${key}`);
+    }
+  };
+}
+
+// Server-Sent Events stream of new votes and updated totals for a proposal
+app.get("/events", async (req, res) => {
+  try {
+    const dao = await getDAO(req.query.dao);
+    const proposalId = validateProposalId(
+      req.query.proposal || dao.defaultProposal
+    );
+    const rpcUrl = req.query.rpc || config.RPC_URL;
+    const since = Number(req.query.since) || 0;
+
+    const data = await getVotingData(dao, proposalId, rpcUrl);
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    res.flushHeaders();
+
+    // Catch the browser up on votes that arrived after its page was rendered
+    const missed = data.votes.filter((vote) => vote.blockNumber > since);
+    missed.forEach((vote) =>
+      sendEvent(res, "vote", {
+        vote: serializeVote(vote),
+        html: String(generateVoteRow(vote, dao)),
+      })
+    );
+    if (missed.length > 0) {
+      const stats = calculateVoteStats(data);
+      sendEvent(res, "stats", {
+        stats,
+        html: String(generateStatsGrid(stats)),
+        timelineHtml: String(
+          generateTimelineChart(calculateVoteTimeline(data))
+        ),
+      });
+    }
+
+    if (isStoredProposalClosed(dao, proposalId)) {
+      sendEvent(res, "closed", {});
+      return res.end();
+    }
+
+    const unsubscribe = subscribeLiveFeed(dao, proposalId, rpcUrl, data, res);
+    req.on("close", unsubscribe);
+  } catch (error) {
+    if (!error.status) {
+      console.error(`Error processing request:`, error);
+    }
+    res.status(error.status || 500).send(String(renderError(error)));
+  }
+});
+
+// Delegate profile with cross-proposal voting history
+app.get("/delegate/:addressOrEns", async (req, res) => {
+  try {
+    const dao = await getDAO(req.query.dao);
+    const rpcUrl = req.query.rpc || config.RPC_URL;
+    const profile = await getDelegateProfile(
+      dao,
+      req.params.addressOrEns,
+      rpcUrl
+    );
+
+    res.send(String(renderDelegatePage({ dao, profile, rpcUrl })));
+  } catch (error) {
+    if (!error.status) {
+      console.error(`Error processing request:`, error);
+    }
+    res.status(error.status || 500).send(String(renderError(error)));
+  }
+});
+
+app.get("/delegate/:addressOrEns/reasons", async (req, res) => {
+  try {
+    const dao = await getDAO(req.query.dao);
+    const rpcUrl = req.query.rpc || config.RPC_URL;
+    const filters = parseReasonParams(req.query);
+    const profile = await getDelegateProfile(
+      dao,
+      req.params.addressOrEns,
+      rpcUrl
+    );
+    const reasons = getDelegateReasons(profile);
+
+    res.send(
+      String(
+        renderDelegateReasonsPage({
+          dao,
+          profile,
+          rpcUrl,
+          reasons: filterReasons(reasons, filters),
+          total: reasons.length,
+          filters,
+        })
+      )
+    );
+  } catch (error) {
+    if (!error.status) {
+      console.error(`Error processing request:`, error);
+    }
+    res.status(error.status || 500).send(String(renderError(error)));
+  }
+});
+
+app.get("/api/delegates/:addressOrEns/reasons", async (req, res) => {
+  try {
+    const dao = await getDAO(req.query.dao);
+    const profile = await getDelegateProfile(
+      dao,
+      req.params.addressOrEns,
+      req.query.rpc || config.RPC_URL
+    );
+    res.json(
+      filterReasons(getDelegateReasons(profile), parseReasonParams(req.query))
+    );
+  } catch (error) {
+    if (!error.status) {
+      console.error(`Error processing API request:`, error);
+    }
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.get("/api/delegates/:addressOrEns", async (req, res) => {
+  try {
+    const dao = await getDAO(req.query.dao);
+    res.json(
+      await getDelegateProfile(
+        dao,
+        req.params.addressOrEns,
+        req.query.rpc || config.RPC_URL
+      )
+    );
+  } catch (error) {
+    if (!error.status) {
+      console.error(`Error processing API request:`, error);
+    }
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Voters ranked by how many proposals they voted on, from the governor-wide vote index
+app.get("/api/leaderboard", async (req, res) => {
+  let dao;
+  const limit = Number(req.query.limit || LEADERBOARD_DEFAULT_LIMIT);
+  try {
+    dao = await getDAO(req.query.dao);
+    if (
+      !Number.isInteger(limit) ||
+      limit < 1 ||
+      limit > LEADERBOARD_MAX_LIMIT
+    ) {
+      throw new Error(
+        `Invalid limit, expected a whole number from 1 to ${LEADERBOARD_MAX_LIMIT}`
+      );
+    }
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const complete = await indexGovernorVotes(
+      dao,
+      req.query.rpc || config.RPC_URL
+    );
+    res.json({
+      complete,
+      voters: getStore().getLeaderboard(dao.id, limit),
+    });
+  } catch (error) {
+    if (!error.status) {
+      console.error(`Error processing API request:`, error);
+    }
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Cache administration, only available when ADMIN_TOKEN is set and sent as a bearer token
+function requireAdminToken(req, res, next) {
+  if (!config.ADMIN_TOKEN) {
+    return res
+      .status(404)
+      .json({ error: "Admin endpoints are disabled, set ADMIN_TOKEN" });
+  }
+
+  // Compare digests so the check takes the same time for any token length
+  const digest = (value) => crypto.createHash("sha256").update(value).digest();
+  const [scheme, token] = (req.get("Authorization") || "").split(" ");
+  if (
+    scheme !== "Bearer" ||
+    !token ||
+    !crypto.timingSafeEqual(digest(token), digest(config.ADMIN_TOKEN))
+  ) {
+    return res.status(401).json({ error: "Invalid or missing admin token" });
+  }
+  next();
+}
+
+app.use("/admin", requireAdminToken);
+
+// A stored proposal with its lifecycle: closed entries are kept for good,
+// active ones are refreshed once `expiresAt` passes
+function describeCacheEntry(dao, entry) {
+  const store = getStore();
+  const closed = isProposalClosed(
+    store.getProposalDetails(dao.id, entry.proposalId),
+    store.getScanProgress(dao.id, entry.proposalId)
+  );
+  const toISO = (time) => (time === null ? null : new Date(time).toISOString());
+  return {
+    ...entry,
+    lifecycle: closed ? "closed" : "active",
+    refreshedAt: toISO(entry.refreshedAt),
+    expiresAt:
+      closed || entry.refreshedAt === null
+        ? null
+        : toISO(entry.refreshedAt + config.ACTIVE_CACHE_DURATION * 1000),
+  };
+}
+
+function getCacheEntry(dao, proposalId) {
+  const [entry] = getStore().getCacheEntries(dao.id, proposalId);
+  if (!entry) {
+    const error = new Error(`Proposal ${proposalId} is not cached`);
+    error.status = 404;
+    throw error;
+  }
+  return describeCacheEntry(dao, entry);
+}
+
+app.get("/admin/cache", async (req, res) => {
+  let dao;
+  try {
+    dao = await getDAO(req.query.dao);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  res.json({
+    dao: dao.id,
+    entries: getStore()
+      .getCacheEntries(dao.id)
+      .map((entry) => describeCacheEntry(dao, entry)),
+    delegateProfiles: getStore().countDelegateProfiles(dao.id),
+  });
+});
+
+app.get(
+  "/admin/cache/:id",
+  apiHandler(async (dao, proposalId) => getCacheEntry(dao, proposalId))
+);
+
+// Rescan now, whatever the entry's lifecycle
+app.post(
+  "/admin/cache/:id/refresh",
+  apiHandler(async (dao, proposalId, req) => {
+    await getVotingData(dao, proposalId, req.query.rpc, { refresh: true });
+    return getCacheEntry(dao, proposalId);
+  })
+);
+
+// The governor-wide vote index keeps its rows; everything else is loaded again on the next visit
+app.delete(
+  "/admin/cache/:id",
+  apiHandler(async (dao, proposalId) => {
+    const entry = getCacheEntry(dao, proposalId);
+    getStore().evictProposal(dao.id, proposalId);
+    return { evicted: entry };
+  })
+);
 
 // Add endpoint for RPC status checks
 app.get("/check-rpc", async (req, res) => {
   const rpcUrl = req.query.rpc || config.RPC_URL;
-  const status = await checkRPCStatus(rpcUrl);
-  res.json({ active: status });
+  res.json(await checkRPCPool(rpcUrl));
 });
 
 // Start server
 async function main() {
   try {
+    // Move JSON caches from earlier versions into the database
+    const imported = await importJSONCache(
+      getStore(),
+      config.CACHE_DIR,
+      config.DEFAULT_DAO
+    );
+    if (imported > 0) {
+      console.log(
+        `Imported ${imported} cache files into ${config.DATABASE_FILE}`
+      );
+    }
     await ensureCacheDir();
-    await clearCache(); // Clear cache on startup
+
+    if (config.RPC_MODE !== "live") {
+      console.log(`RPC ${config.RPC_MODE} mode using ${config.RPC_FIXTURE}`);
+    }
+
+    // Keep the RPC pool's health current so failover skips dead endpoints
+    await checkRPCPool();
+    setInterval(
+      () => checkRPCPool().catch(console.error),
+      config.RPC_HEALTH_INTERVAL * 1000
+    ).unref();
+
+    // Optionally keep every DAO's delegate registry current from on-chain events
+    if (Number(config.DELEGATES_REBUILD_INTERVAL) > 0) {
+      setInterval(async () => {
+        for (const dao of (await loadDAOProfiles()).values()) {
+          try {
+            const { diff } = await rebuildDelegates(dao);
+            console.log(`${dao.name}: ${formatDelegateDiff(diff)}`);
+          } catch (error) {
+            console.error(
+              `Scheduled delegate rebuild failed for ${dao.id}:`,
+              error
+            );
+          }
+        }
+      }, config.DELEGATES_REBUILD_INTERVAL * 60 * 60 * 1000).unref();
+    }
 
     // Try to start server, if port is in use, try next port
     const startServer = (port) => {
@@ -1090,7 +3036,63 @@ async function main() {
   }
 }
 
-main().catch(console.error);
+// Command-line entry points; with no command, start the dashboard
+async function runCommand(argv) {
+  const { positionals, values } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      rpc: { type: "string" },
+      dao: { type: "string" },
+      "dry-run": { type: "boolean" },
+      proposal: { type: "string" },
+      format: { type: "string", default: "md" },
+    },
+  });
+  const command = positionals[0];
+
+  if (!command) {
+    return main();
+  }
+
+  if (command === "rebuild-delegates") {
+    const dao = await getDAO(values.dao);
+    const { diff } = await rebuildDelegates(dao, values.rpc, {
+      dryRun: values["dry-run"],
+    });
+    console.log(formatDelegateDiff(diff));
+    return;
+  }
+
+  if (command === "report") {
+    if (!REPORT_FORMATS.includes(values.format)) {
+      throw new Error(`--format must be ${REPORT_FORMATS.join(" or ")}`);
+    }
+    const dao = await getDAO(values.dao);
+    if (!values.proposal && !dao.defaultProposal) {
+      throw new Error(`--proposal is required for ${dao.name}`);
+    }
+    const proposalId = validateProposalId(
+      values.proposal || dao.defaultProposal
+    );
+
+    // Progress goes to stderr so the report can be redirected to a file
+    progressStream = process.stderr;
+    await ensureCacheDir();
+    const report = await buildProposalReport(dao, proposalId, values.rpc);
+    process.stdout.write(formatProposalReport(report, values.format));
+    return;
+  }
+
+  throw new Error(`Unknown command "${command}"`);
+}
+
+if (require.main === module) {
+  runCommand(process.argv.slice(2)).catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
 
 // Update the calculateVoteStats function
 function calculateVoteStats(data) {
@@ -1125,24 +3127,325 @@ function calculateVoteStats(data) {
     }
   );
 
-  // Calculate quorum metrics
+  // Calculate quorum metrics against the governor's quorum at the snapshot block
+  const quorum = data.quorum || {
+    votes: QUORUM_VOTES,
+    block: data.snapshotBlock,
+    source: "fallback",
+  };
+  stats.requiredQuorum = quorum.votes;
+  stats.quorumBlock = quorum.block;
+  stats.quorumSource = quorum.source;
   stats.quorumVotes = stats.forVotes + stats.abstainVotes;
-  stats.hasReachedQuorum = stats.quorumVotes >= QUORUM_VOTES;
-  stats.votesNeededForQuorum = Math.max(0, QUORUM_VOTES - stats.quorumVotes);
+  stats.hasReachedQuorum = stats.quorumVotes >= stats.requiredQuorum;
+  stats.votesNeededForQuorum = Math.max(
+    0,
+    stats.requiredQuorum - stats.quorumVotes
+  );
 
   return stats;
 }
 
+// Cumulative For/Against/Abstain weight after each block that carried votes,
+// plus the block where For + Abstain first reached the required quorum
+function calculateVoteTimeline(data) {
+  const stats = calculateVoteStats(data);
+  const votes = [...data.votes].sort(
+    (a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex
+  );
+
+  const totals = { forVotes: 0, againstVotes: 0, abstainVotes: 0 };
+  const points = [];
+  let quorumReached = null;
+
+  votes.forEach((vote) => {
+    const weight = parseFloat(vote.weight);
+    if (vote.vote === "For") {
+      totals.forVotes += weight;
+    } else if (vote.vote === "Against") {
+      totals.againstVotes += weight;
+    } else {
+      totals.abstainVotes += weight;
+    }
+
+    const point = {
+      blockNumber: vote.blockNumber,
+      timestamp: vote.isoTimestamp,
+      ...totals,
+      quorumVotes: totals.forVotes + totals.abstainVotes,
+    };
+
+    // Votes in the same block collapse into a single point
+    if (
+      points.length > 0 &&
+      points[points.length - 1].blockNumber === vote.blockNumber
+    ) {
+      points[points.length - 1] = point;
+    } else {
+      points.push(point);
+    }
+
+    if (!quorumReached && point.quorumVotes >= stats.requiredQuorum) {
+      quorumReached = {
+        blockNumber: vote.blockNumber,
+        timestamp: vote.isoTimestamp,
+      };
+    }
+  });
+
+  return {
+    snapshotBlock: data.snapshotBlock,
+    requiredQuorum: stats.requiredQuorum,
+    quorumSource: stats.quorumSource,
+    quorumReached,
+    points,
+  };
+}
+
+// Delegates whose vote differs between two proposals: switched between For
+// and Against, moved to or from Abstain, or voted in only one of them.
+// Each entry carries both votes (null where the delegate did not vote).
+function compareProposals(firstData, secondData) {
+  const byVoter = (votes) =>
+    new Map(votes.map((vote) => [vote.voter.toLowerCase(), vote]));
+  const firstVotes = byVoter(firstData.votes);
+  const secondVotes = byVoter(secondData.votes);
+  const comparison = {
+    changed: [],
+    abstained: [],
+    onlyFirst: [],
+    onlySecond: [],
+  };
+
+  for (const voter of new Set([...firstVotes.keys(), ...secondVotes.keys()])) {
+    const first = firstVotes.get(voter) || null;
+    const second = secondVotes.get(voter) || null;
+    const entry = { voter: (second || first).voter, first, second };
+
+    if (!second) {
+      comparison.onlyFirst.push(entry);
+    } else if (!first) {
+      comparison.onlySecond.push(entry);
+    } else if (first.vote !== second.vote) {
+      const abstained = first.vote === "Abstain" || second.vote === "Abstain";
+      comparison[abstained ? "abstained" : "changed"].push(entry);
+    }
+  }
+
+  // Largest of the two weights first
+  const entryWeight = ({ first, second }) =>
+    Math.max(
+      first ? parseFloat(first.weight) : 0,
+      second ? parseFloat(second.weight) : 0
+    );
+  Object.values(comparison).forEach((entries) =>
+    entries.sort((a, b) => entryWeight(b) - entryWeight(a))
+  );
+
+  const turnout = (data) => {
+    const stats = calculateVoteStats(data);
+    return { voters: stats.totalVotes, weight: stats.totalWeight };
+  };
+  const first = turnout(firstData);
+  const second = turnout(secondData);
+
+  return {
+    ...comparison,
+    turnout: {
+      first,
+      second,
+      change: {
+        voters: second.voters - first.voters,
+        weight: second.weight - first.weight,
+      },
+    },
+  };
+}
+
+// A proposal passes once quorum (For + Abstain) is met and For beats Against
+function projectOutcome(totals, requiredQuorum) {
+  const quorumVotes = totals.forVotes + totals.abstainVotes;
+  const hasReachedQuorum = quorumVotes >= requiredQuorum;
+
+  return {
+    forVotes: totals.forVotes,
+    againstVotes: totals.againstVotes,
+    abstainVotes: totals.abstainVotes,
+    quorumVotes,
+    hasReachedQuorum,
+    passes: hasReachedQuorum && totals.forVotes > totals.againstVotes,
+  };
+}
+
+// Most common past vote, ties going to the most recent one
+function guessVote(pastVotes) {
+  const counts = { For: 0, Against: 0, Abstain: 0 };
+  const lastSeen = {};
+  pastVotes.forEach((vote, index) => {
+    counts[vote]++;
+    lastSeen[vote] = index;
+  });
+
+  const [assumedVote] = Object.keys(counts)
+    .filter((vote) => counts[vote] > 0)
+    .sort((a, b) => counts[b] - counts[a] || lastSeen[b] - lastSeen[a]);
+
+  return { counts, assumedVote: assumedVote || null };
+}
+
+// What the outstanding delegates could still do to the result: the outcome if
+// they all vote For or all vote Against, and the outcome if each votes the way
+// they usually have on earlier proposals
+function calculateVoteProjection(proposalId, data, delegates, history) {
+  const stats = calculateVoteStats(data);
+  const { requiredQuorum } = stats;
+  const current = {
+    forVotes: stats.forVotes,
+    againstVotes: stats.againstVotes,
+    abstainVotes: stats.abstainVotes,
+  };
+  const remainingVotingPower = delegates.reduce(
+    (sum, delegate) => sum + delegate.actualVotingPower,
+    0
+  );
+
+  const outstanding = delegates.map((delegate) => {
+    const pastVotes = Object.entries(
+      history[delegate.address.toLowerCase()] || {}
+    )
+      .filter(([id]) => id !== proposalId.toString())
+      .map(([, vote]) => vote);
+
+    return {
+      address: delegate.address,
+      actualVotingPower: delegate.actualVotingPower,
+      ...guessVote(pastVotes),
+    };
+  });
+
+  const expected = { ...current };
+  let unknownVotingPower = 0;
+  outstanding.forEach((delegate) => {
+    if (delegate.assumedVote) {
+      const key = `${delegate.assumedVote.toLowerCase()}Votes`;
+      expected[key] += delegate.actualVotingPower;
+    } else {
+      unknownVotingPower += delegate.actualVotingPower;
+    }
+  });
+
+  const ifAllFor = projectOutcome(
+    { ...current, forVotes: current.forVotes + remainingVotingPower },
+    requiredQuorum
+  );
+  const ifAllAgainst = projectOutcome(
+    { ...current, againstVotes: current.againstVotes + remainingVotingPower },
+    requiredQuorum
+  );
+
+  return {
+    requiredQuorum,
+    current: projectOutcome(current, requiredQuorum),
+    remainingDelegates: outstanding.length,
+    remainingVotingPower,
+    ifAllFor,
+    ifAllAgainst,
+    canFlip: ifAllFor.passes !== ifAllAgainst.passes,
+    quorum: {
+      reached: stats.hasReachedQuorum,
+      reachable: stats.quorumVotes + remainingVotingPower >= requiredQuorum,
+      // Until it is met, outstanding delegates can hold quorum back by staying out
+      canBlock: !stats.hasReachedQuorum,
+    },
+    expected: {
+      ...projectOutcome(expected, requiredQuorum),
+      unknownVotingPower,
+    },
+    delegates: outstanding,
+  };
+}
+
+async function getVoteProjection(dao, proposalId, data, rpcUrl) {
+  const delegates = await getNotVotedDelegates(
+    data.delegateSnapshot,
+    data.votes
+  );
+  const history = await getVoteHistory(dao, rpcUrl);
+
+  return calculateVoteProjection(proposalId, data, delegates, history);
+}
+
+// Order used when sorting the table by vote
+const VOTE_CHOICES = ["For", "Against", "Abstain"];
+
+// Rows for one table view: votes, or outstanding delegates with their ENS
+// identities, narrowed by the search and weight range and then sorted
+async function getTableData(data, params, rpcUrl) {
+  const { viewFilter, sortBy, sortDir, search, minWeight, maxWeight } = params;
+  let tableData = [];
+
+  if (viewFilter === "notvoted") {
+    // Names are needed before delegates can be searched or sorted by them
+    tableData = await withIdentities(
+      await getNotVotedDelegates(data.delegateSnapshot, data.votes),
+      rpcUrl
+    );
+  } else if (viewFilter === "for") {
+    tableData = data.votes.filter((v) => v.vote === "For");
+  } else if (viewFilter === "against") {
+    tableData = data.votes.filter((v) => v.vote === "Against");
+  } else if (viewFilter === "abstain") {
+    tableData = data.votes.filter((v) => v.vote === "Abstain");
+  } else {
+    tableData = data.votes;
+  }
+
+  const address = (row) => (row.identity ? row.address : row.voter);
+  const name = (row) => (row.identity ? row.identity.name : row.ensName) || "";
+  const weight = (row) =>
+    row.identity ? row.actualVotingPower : parseFloat(row.weight);
+
+  // Every search term must appear in the address or resolved ENS name
+  const terms = search.toLowerCase().split(/\s+/).filter(Boolean);
+  const filtered = tableData.filter(
+    (row) =>
+      terms.every(
+        (term) =>
+          address(row).toLowerCase().includes(term) ||
+          name(row).toLowerCase().includes(term)
+      ) &&
+      (minWeight === null || weight(row) >= minWeight) &&
+      (maxWeight === null || weight(row) <= maxWeight)
+  );
+
+  // Outstanding delegates have no vote or time, so those sorts fall back to power
+  const sortValue = (row) => {
+    if (sortBy === "voter") {
+      return (name(row) || address(row)).toLowerCase();
+    } else if (viewFilter === "notvoted" || sortBy === "weight") {
+      return weight(row);
+    } else if (sortBy === "power") {
+      return parseFloat(row.votingPower);
+    } else if (sortBy === "vote") {
+      return VOTE_CHOICES.indexOf(row.vote);
+    }
+    return new Date(row.isoTimestamp).getTime();
+  };
+
+  return [...filtered].sort((a, b) => {
+    const valueA = sortValue(a);
+    const valueB = sortValue(b);
+    const order =
+      typeof valueA === "string"
+        ? valueA.localeCompare(valueB)
+        : valueA - valueB;
+    return sortDir === "desc" ? -order : order;
+  });
+}
+
 async function getNotVotedDelegates(delegateSnapshot, votes) {
   // Create a Set of addresses that have voted for quick lookup
-  const votedAddresses = new Set(
-    votes
-      .map((vote) => {
-        const match = vote.delegate.match(/0x[a-fA-F0-9]{40}/);
-        return match ? match[0].toLowerCase() : null;
-      })
-      .filter((addr) => addr !== null)
-  );
+  const votedAddresses = new Set(votes.map((vote) => vote.voter.toLowerCase()));
 
   // Filter out specific address and those who have voted
   return delegateSnapshot
@@ -1157,79 +3460,79 @@ async function getNotVotedDelegates(delegateSnapshot, votes) {
     .sort((a, b) => b.actualVotingPower - a.actualVotingPower);
 }
 
-async function generateNotVotedTable(delegates) {
-  const provider = new ethers.JsonRpcProvider(config.RPC_URL);
+// Everything the report command summarizes for one proposal
+async function buildProposalReport(dao, proposalId, rpcUrl) {
+  const data = await getVotingData(dao, proposalId, rpcUrl);
+  const byWeight = [...data.votes].sort(
+    (a, b) => parseFloat(b.weight) - parseFloat(a.weight)
+  );
+  const topVoters = (vote) =>
+    byWeight
+      .filter((v) => v.vote === vote)
+      .slice(0, REPORT_TOP_VOTERS)
+      .map(serializeVote);
+
+  // The title is a nicety, so a failed proposal scan doesn't stop the report
+  let proposal;
+  try {
+    proposal = (await getProposals(dao, rpcUrl)).find(
+      (p) => p.proposalId === proposalId.toString()
+    );
+  } catch (error) {
+    console.warn("Report continues without the proposal title");
+  }
+
+  const notVoted = await getNotVotedDelegates(
+    data.delegateSnapshot,
+    data.votes
+  );
+
+  return {
+    dao: { id: dao.id, name: dao.name },
+    proposalId: proposalId.toString(),
+    title: proposal ? proposal.title : null,
+    state: proposal ? proposal.state : null,
+    snapshotBlock: data.snapshotBlock,
+    scanStatus: data.scanStatus,
+    stats: calculateVoteStats(data),
+    topFor: topVoters("For"),
+    topAgainst: topVoters("Against"),
+    nonVoters: await serializeNotVotedDelegates(
+      notVoted.slice(0, REPORT_NON_VOTERS),
+      rpcUrl
+    ),
+    reasons: byWeight.filter((v) => v.reason.trim()).map(serializeVote),
+  };
+}
+
+// Attach resolved ENS identities so delegate rows can be rendered synchronously
+async function withIdentities(delegates, rpcUrl) {
+  const provider = createProvider(rpcUrl);
 
-  const delegatesWithENS = await Promise.all(
+  return Promise.all(
     delegates.map(async (delegate) => ({
       ...delegate,
-      resolvedName: await resolveENSName(delegate.address, provider),
+      identity: await resolveIdentity(delegate.address, provider),
     }))
   );
-
-  return `
-    <table class="votes-table">
-      <thead>
-        <tr>
-          <th>Delegate</th>
-          <th>Voting Power</th>
-        </tr>
-      </thead>
-      <tbody>
-        ${delegatesWithENS
-          .map(
-            (delegate) => `
-          <tr>
-            <td>
-              <span class="ens-name">${delegate.resolvedName}</span>
-              <a href="https://etherscan.io/address/${delegate.address}" 
-                 target="_blank" 
-                 class="address-link">
-                ${delegate.address.substring(
-                  0,
-                  6
-                )}...${delegate.address.substring(38)}
-              </a>
-            </td>
-            <td class="voting-power">${formatNumber(
-              delegate.actualVotingPower
-            )}</td>
-          </tr>
-        `
-          )
-          .join("")}
-      </tbody>
-    </table>
-  `;
-}
-
-function generateVotesTable(votes) {
-  return `
-    <table class="votes-table">
-      <thead>
-        <tr>
-          <th>Delegate</th>
-          <th>Vote</th>
-          <th>Weight</th>
-          <th>Time</th>
-          <th>Reason</th>
-        </tr>
-      </thead>
-      <tbody>
-        ${votes
-          .map(
-            (vote) => `
-          <tr>
-            <td>${vote.delegate}</td>
-            <td>${vote.vote}</td>
-            <td>${formatNumber(vote.weight)}</td>
-            <td>${vote.timestamp}</td>
-            <td>${vote.reason}</td>
-          </tr>
-        `
-          )
-          .join("")}
-      </tbody>
-    </table>
-  `;
 }
+
+module.exports = {
+  app,
+  config,
+  DEFAULT_PROPOSAL_ID,
+  getDAO,
+  ensureCacheDir,
+  getVotingData,
+  getDelegateSnapshot,
+  getSnapshotDelegators,
+  decodeVoteEvent,
+  createProvider,
+  calculateVoteStats,
+  calculateVoteTimeline,
+  calculateDriftReport,
+  compareProposals,
+  checkAlerts,
+  toCSV,
+  buildProposalReport,
+};
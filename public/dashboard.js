@@ -0,0 +1,248 @@
+// Dashboard behaviour, loaded as an external script so the Content-Security-Policy
+// can forbid inline scripts and handlers.
+
+function showReason(button) {
+  const reason = button.getAttribute("data-reason");
+  document.getElementById("reasonText").textContent = reason;
+  document.getElementById("modalBackdrop").style.display = "block";
+  document.getElementById("reasonModal").style.display = "block";
+}
+
+function hideReason() {
+  document.getElementById("modalBackdrop").style.display = "none";
+  document.getElementById("reasonModal").style.display = "none";
+}
+
+// Expand or collapse the row listing a voter's delegators at the snapshot,
+// rendered by the server so its markup is escaped there
+function toggleDelegators(button) {
+  const row = button.closest("tr");
+  const next = row.nextElementSibling;
+  if (next && next.classList.contains("delegators-row")) {
+    next.remove();
+    button.setAttribute("aria-expanded", "false");
+    return;
+  }
+
+  const table = button.closest("table").dataset;
+  button.disabled = true;
+  button.textContent = "Loading...";
+  fetch(
+    "/delegators?dao=" +
+      encodeURIComponent(table.dao) +
+      "&proposal=" +
+      encodeURIComponent(table.proposal) +
+      "&voter=" +
+      encodeURIComponent(button.dataset.voter) +
+      "&rpc=" +
+      encodeURIComponent(table.rpc)
+  )
+    .then(function (response) {
+      if (!response.ok) {
+        throw new Error("Request failed with status " + response.status);
+      }
+      return response.text();
+    })
+    .then(function (rowHtml) {
+      row.insertAdjacentHTML("afterend", rowHtml);
+      button.setAttribute("aria-expanded", "true");
+      button.textContent = "Delegators";
+    })
+    .catch(function () {
+      button.textContent = "Delegators (failed, retry)";
+    })
+    .finally(function () {
+      button.disabled = false;
+    });
+}
+
+// Reason and delegator buttons can be added later by the live feed, so delegate from the document
+document.addEventListener("click", function (event) {
+  const button = event.target.closest(".reason-button");
+  const delegatorsButton = event.target.closest(".delegators-button");
+  if (button) {
+    showReason(button);
+  } else if (delegatorsButton) {
+    toggleDelegators(delegatorsButton);
+  } else if (event.target.id === "modalBackdrop") {
+    hideReason();
+  }
+});
+
+// Close modal on escape key
+document.addEventListener("keydown", function (event) {
+  if (event.key === "Escape") {
+    hideReason();
+  }
+});
+
+const configForm = document.getElementById("configForm");
+if (configForm) {
+  // A proposal ID belongs to one governor, so switching DAO starts from its default
+  configForm.elements.dao.addEventListener("change", function () {
+    configForm.elements.proposal.value = "";
+  });
+
+  configForm.addEventListener("submit", function (e) {
+    e.preventDefault();
+    const dao = this.elements.dao.value;
+    const rpc = this.elements.rpc.value;
+    const proposal = this.elements.proposal.value;
+    window.location.href =
+      "/?dao=" +
+      encodeURIComponent(dao) +
+      (proposal ? "&proposal=" + encodeURIComponent(proposal) : "") +
+      "&rpc=" +
+      encodeURIComponent(rpc);
+  });
+}
+
+// Live updates: insert new votes and refresh the stats panel without reloading
+const liveConfig = document.getElementById("live-config");
+if (liveConfig) {
+  const live = liveConfig.dataset;
+  const events = new EventSource(
+    "/events?dao=" +
+      encodeURIComponent(live.dao) +
+      "&proposal=" +
+      encodeURIComponent(live.proposal) +
+      "&rpc=" +
+      encodeURIComponent(live.rpc) +
+      "&since=" +
+      encodeURIComponent(live.lastBlock)
+  );
+
+  // Same keys as the server's table sort
+  const VOTE_CHOICES = ["For", "Against", "Abstain"];
+  function sortValue(row) {
+    const data = row.dataset;
+    if (live.sort === "voter") return data.name;
+    if (live.sort === "weight") return Number(data.weight);
+    if (live.sort === "power") return Number(data.power);
+    if (live.sort === "vote") return VOTE_CHOICES.indexOf(data.vote);
+    return new Date(data.time).getTime();
+  }
+
+  function compareRows(a, b) {
+    const valueA = sortValue(a);
+    const valueB = sortValue(b);
+    const order =
+      typeof valueA === "string"
+        ? valueA.localeCompare(valueB)
+        : valueA - valueB;
+    return live.dir === "desc" ? -order : order;
+  }
+
+  function setLiveStatus(text) {
+    document.querySelectorAll(".live-status").forEach(function (el) {
+      el.textContent = text;
+    });
+  }
+
+  events.addEventListener("open", function () {
+    setLiveStatus("(Live updates on)");
+  });
+
+  events.addEventListener("error", function () {
+    setLiveStatus("(Live updates reconnecting, refresh page to update data)");
+  });
+
+  // Row and panel markup is rendered and escaped by the server templates
+  events.addEventListener("vote", function (event) {
+    const payload = JSON.parse(event.data);
+    const tbody = document.querySelector("#votes-table tbody");
+    if (!tbody) return;
+    if (live.view !== "all" && live.view !== payload.vote.vote.toLowerCase()) {
+      return;
+    }
+    // A search, weight range or later page may not include the new vote
+    if (live.filtered === "true") return;
+
+    const template = document.createElement("template");
+    template.innerHTML = payload.html.trim();
+    const row = template.content.firstElementChild;
+    // Before the first vote row that sorts after it; delegator rows stay put
+    const next = Array.from(tbody.querySelectorAll("tr[data-time]")).find(
+      function (existing) {
+        return compareRows(row, existing) < 0;
+      }
+    );
+    if (next) {
+      tbody.insertBefore(row, next);
+    } else if (live.morePages !== "true") {
+      // Otherwise the vote belongs on a later page
+      tbody.appendChild(row);
+    }
+  });
+
+  // Voting has closed, so no more votes can arrive
+  events.addEventListener("closed", function () {
+    events.close();
+    setLiveStatus("(Voting has closed)");
+  });
+
+  events.addEventListener("stats", function (event) {
+    const payload = JSON.parse(event.data);
+    document.getElementById("stats-panel").innerHTML = payload.html;
+    document.getElementById("timeline-panel").innerHTML = payload.timelineHtml;
+    setLiveStatus(
+      "(Live updates on, last vote at " + new Date().toLocaleTimeString() + ")"
+    );
+  });
+}
+
+// Outcome projection: recompute the expected totals when an assumed vote changes
+const projection = document.getElementById("projection");
+if (projection) {
+  const formatStatNumber = function (num) {
+    const fullFormat = new Intl.NumberFormat("en-US", {
+      maximumFractionDigits: 2,
+      minimumFractionDigits: 2,
+    }).format(num);
+    return num >= 1000
+      ? fullFormat + " (" + (num / 1000).toFixed(1) + "K)"
+      : fullFormat;
+  };
+
+  const recomputeProjection = function () {
+    const totals = {
+      For: Number(projection.dataset.for),
+      Against: Number(projection.dataset.against),
+      Abstain: Number(projection.dataset.abstain),
+    };
+    document.querySelectorAll(".projection-vote").forEach(function (select) {
+      if (select.value in totals) {
+        totals[select.value] += Number(select.dataset.power);
+      }
+    });
+
+    // Same rule as the server: quorum counts For + Abstain, then For must lead
+    const quorumVotes = totals.For + totals.Abstain;
+    const hasReachedQuorum = quorumVotes >= Number(projection.dataset.quorum);
+    const passes = hasReachedQuorum && totals.For > totals.Against;
+
+    document.getElementById("projection-for").textContent = formatStatNumber(
+      totals.For
+    );
+    document.getElementById("projection-against").textContent =
+      formatStatNumber(totals.Against);
+    document.getElementById("projection-abstain").textContent =
+      formatStatNumber(totals.Abstain);
+    document.getElementById("projection-quorum").textContent =
+      formatStatNumber(quorumVotes);
+
+    const result = document.getElementById("projection-result");
+    result.textContent = passes
+      ? "Passes"
+      : !hasReachedQuorum
+      ? "Fails: quorum not reached"
+      : "Fails: For does not lead Against";
+    result.className = "projection-result " + (passes ? "passes" : "fails");
+  };
+
+  document.addEventListener("change", function (event) {
+    if (event.target.classList.contains("projection-vote")) {
+      recomputeProjection();
+    }
+  });
+}
@@ -0,0 +1,189 @@
+// Markdown and plain-text proposal summaries printed by `node index.js report`
+const { formatStatNumber } = require("./templates");
+
+const REPORT_FORMATS = ["md", "text"];
+
+// Keep names from turning into links, emphasis or table cells in Markdown
+function escapeMarkdown(text) {
+  return String(text).replace(/[\\`*_[\]<>|]/g, "\\$&");
+}
+
+function formatPercent(part, total) {
+  return total > 0 ? `${((part / total) * 100).toFixed(2)}%` : "0.00%";
+}
+
+// Each format supplies the same building blocks, so the report layout is shared
+const FORMATTERS = {
+  md: {
+    escape: escapeMarkdown,
+    title: (text) => [`# ${text}`],
+    heading: (text) => [`## ${text}`],
+    text: (text) => [text],
+    name: (name, address) =>
+      name ? `${escapeMarkdown(name)} (\`${address}\`)` : `\`${address}\``,
+    list: (items) => items.map((item, index) => `${index + 1}. ${item}`),
+    // Reasons keep their Markdown, but raw HTML is shown as text
+    quote: (text) =>
+      text
+        .split("\n")
+        .map((line) => `> ${line.replace(/</g, "&lt;")}`.trimEnd()),
+    table: (header, rows) => [
+      `| ${header.join(" | ")} |`,
+      `| ${header.map(() => "---").join(" | ")} |`,
+      ...rows.map((row) => `| ${row.join(" | ")} |`),
+    ],
+  },
+  text: {
+    escape: (text) => String(text),
+    title: (text) => [text, "=".repeat(text.length)],
+    heading: (text) => [text.toUpperCase()],
+    text: (text) => [text],
+    name: (name, address) => (name ? `${name} (${address})` : address),
+    list: (items) => items.map((item, index) => `${index + 1}. ${item}`),
+    quote: (text) => text.split("\n").map((line) => `    ${line}`.trimEnd()),
+    table: (header, rows) => {
+      const widths = header.map((cell, column) =>
+        Math.max(cell.length, ...rows.map((row) => row[column].length))
+      );
+      return [header, ...rows].map((row) =>
+        row
+          .map((cell, column) => cell.padEnd(widths[column]))
+          .join("  ")
+          .trimEnd()
+      );
+    },
+  },
+};
+
+function formatProposalReport(report, format = "md") {
+  const f = FORMATTERS[format];
+  if (!f) {
+    throw new Error(
+      `Unknown report format "${format}", expected ${REPORT_FORMATS.join(
+        " or "
+      )}`
+    );
+  }
+  const { stats } = report;
+  const sections = [];
+
+  sections.push([
+    ...f.title(
+      f.escape(
+        `${report.dao.name}: ${report.title || `Proposal ${report.proposalId}`}`
+      )
+    ),
+    "",
+    ...f.text(
+      `Proposal ${report.proposalId}, ${
+        report.state ? `${report.state}, ` : ""
+      }snapshot block ${report.snapshotBlock}`
+    ),
+  ]);
+
+  sections.push([
+    ...f.heading("Totals"),
+    "",
+    ...f.table(
+      ["Vote", "Voters", "Voting power", "Share"],
+      [
+        ["For", stats.forCount, stats.forVotes],
+        ["Against", stats.againstCount, stats.againstVotes],
+        ["Abstain", stats.abstainCount, stats.abstainVotes],
+      ].map(([vote, count, weight]) => [
+        vote,
+        String(count),
+        formatStatNumber(weight),
+        formatPercent(weight, stats.totalWeight),
+      ])
+    ),
+  ]);
+
+  sections.push([
+    ...f.heading("Quorum"),
+    "",
+    ...f.text(
+      stats.hasReachedQuorum
+        ? `Reached: ${formatStatNumber(
+            stats.quorumVotes
+          )} For and Abstain votes of ${formatStatNumber(
+            stats.requiredQuorum
+          )} required.`
+        : `Not reached: ${formatStatNumber(
+            stats.quorumVotes
+          )} For and Abstain votes of ${formatStatNumber(
+            stats.requiredQuorum
+          )} required, ${formatStatNumber(
+            stats.votesNeededForQuorum
+          )} still needed.`
+    ),
+  ]);
+
+  [
+    ["Top For voters", report.topFor],
+    ["Top Against voters", report.topAgainst],
+  ].forEach(([heading, votes]) => {
+    sections.push([
+      ...f.heading(heading),
+      "",
+      ...(votes.length > 0
+        ? f.list(
+            votes.map(
+              (vote) =>
+                `${f.name(vote.ensName, vote.voter)}: ${formatStatNumber(
+                  vote.weight
+                )}`
+            )
+          )
+        : f.text("None yet.")),
+    ]);
+  });
+
+  sections.push([
+    ...f.heading("Notable non-voters"),
+    "",
+    ...(report.nonVoters.length > 0
+      ? f.list(
+          report.nonVoters.map(
+            (delegate) =>
+              `${f.name(
+                delegate.ensName,
+                delegate.address
+              )}: ${formatStatNumber(delegate.actualVotingPower)}`
+          )
+        )
+      : f.text("Every delegate with significant voting power has voted.")),
+  ]);
+
+  if (report.reasons.length > 0) {
+    sections.push([
+      ...f.heading("Reasons"),
+      ...report.reasons.flatMap((vote) => [
+        "",
+        ...f.text(
+          `${f.name(vote.ensName, vote.voter)} voted ${f.escape(
+            vote.vote
+          )} with ${formatStatNumber(vote.weight)}:`
+        ),
+        "",
+        ...f.quote(vote.reason.trim()),
+      ]),
+    ]);
+  }
+
+  if (report.scanStatus.gaps.length > 0) {
+    sections.push(
+      f.text(
+        `Warning: ${report.scanStatus.gaps.length} block ranges could not be scanned, so some votes may be missing.`
+      )
+    );
+  }
+
+  return sections.map((lines) => lines.join("\n")).join("\n\n") + "\n";
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  escapeMarkdown,
+  formatProposalReport,
+};
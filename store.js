@@ -0,0 +1,733 @@
+// SQLite store for proposals, votes, delegate snapshots, ENS names, scan progress,
+// delegate profiles and alert state.
+//
+// Every DAO shares one database; rows carry the DAO id. Statements are
+// synchronous (better-sqlite3), so callers never see half-written state.
+
+const Database = require("better-sqlite3");
+const fs = require("fs");
+const path = require("path");
+
+// Applied in order; PRAGMA user_version records how many have run
+const MIGRATIONS = [
+  `
+  CREATE TABLE proposals (
+    dao TEXT NOT NULL,
+    proposal_id TEXT NOT NULL,
+    title TEXT,
+    proposer TEXT,
+    start_block INTEGER,
+    end_block INTEGER,
+    state TEXT,
+    snapshot_block INTEGER,
+    deadline_block INTEGER,
+    quorum_votes REAL,
+    quorum_block INTEGER,
+    PRIMARY KEY (dao, proposal_id)
+  );
+
+  -- Rows from the governor-wide vote index only carry what the log holds;
+  -- voting_power and timestamp are filled in once the proposal is indexed
+  CREATE TABLE votes (
+    dao TEXT NOT NULL,
+    proposal_id TEXT NOT NULL,
+    voter TEXT NOT NULL,
+    vote TEXT NOT NULL,
+    weight TEXT NOT NULL,
+    reason TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    transaction_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL,
+    voting_power TEXT,
+    timestamp TEXT,
+    PRIMARY KEY (dao, transaction_hash, log_index)
+  );
+  CREATE INDEX votes_by_proposal ON votes (dao, proposal_id, block_number);
+  CREATE INDEX votes_by_voter ON votes (dao, voter);
+
+  CREATE TABLE delegate_snapshots (
+    dao TEXT NOT NULL,
+    proposal_id TEXT NOT NULL,
+    address TEXT NOT NULL,
+    expected_voting_power REAL,
+    actual_voting_power REAL NOT NULL,
+    delegations INTEGER,
+    on_chain_votes INTEGER,
+    rank INTEGER,
+    current_rank INTEGER NOT NULL,
+    PRIMARY KEY (dao, proposal_id, address)
+  );
+
+  CREATE TABLE ens_names (
+    address TEXT PRIMARY KEY,
+    name TEXT,
+    avatar TEXT,
+    resolved_at INTEGER NOT NULL
+  );
+
+  -- One row per scan: a proposal ID, "proposals" or "votes" (the whole governor)
+  CREATE TABLE scan_progress (
+    dao TEXT NOT NULL,
+    scope TEXT NOT NULL,
+    last_scanned_block INTEGER NOT NULL,
+    gaps TEXT NOT NULL DEFAULT '[]',
+    refreshed_at INTEGER,
+    PRIMARY KEY (dao, scope)
+  );
+  `,
+  // Params bytes from VoteCastWithParams, null for plain VoteCast. Earlier
+  // scans skipped those events, so every scan starts over once.
+  `
+  ALTER TABLE votes ADD COLUMN params TEXT;
+  DELETE FROM scan_progress;
+  `,
+  // Token holders delegating to a voter at a proposal's snapshot, with their
+  // balances as decimal strings, and the voter's getPastVotes to check them against
+  `
+  CREATE TABLE delegate_backing (
+    dao TEXT NOT NULL,
+    proposal_id TEXT NOT NULL,
+    delegate TEXT NOT NULL,
+    past_votes TEXT NOT NULL,
+    delegators TEXT NOT NULL,
+    PRIMARY KEY (dao, proposal_id, delegate)
+  );
+  `,
+  // Built delegate profiles, served until CACHE_DURATION passes, and what the
+  // alert check last saw for each proposal
+  `
+  CREATE TABLE delegate_profiles (
+    dao TEXT NOT NULL,
+    address TEXT NOT NULL,
+    profile TEXT NOT NULL,
+    built_at INTEGER NOT NULL,
+    PRIMARY KEY (dao, address)
+  );
+
+  CREATE TABLE alert_state (
+    dao TEXT NOT NULL,
+    proposal_id TEXT NOT NULL,
+    state TEXT NOT NULL,
+    PRIMARY KEY (dao, proposal_id)
+  );
+  `,
+];
+
+function toVoteRecord(row) {
+  return {
+    voter: row.voter,
+    ensName: row.ens_name || null,
+    avatar: row.avatar || null,
+    vote: row.vote,
+    votingPower: row.voting_power,
+    weight: row.weight,
+    timestamp: new Date(row.timestamp).toLocaleString(),
+    isoTimestamp: row.timestamp,
+    reason: row.reason,
+    params: row.params,
+    blockNumber: row.block_number,
+    transactionHash: row.transaction_hash,
+    logIndex: row.log_index,
+  };
+}
+
+function toSnapshotDelegate(row) {
+  return {
+    address: row.address,
+    expectedVotingPower: row.expected_voting_power,
+    actualVotingPower: row.actual_voting_power,
+    delegations: row.delegations,
+    onChainVotes: row.on_chain_votes,
+    rank: row.rank,
+    hasVotingPowerChanged:
+      Math.abs(row.expected_voting_power - row.actual_voting_power) > 0.1,
+    currentRank: row.current_rank,
+    rankChange: row.rank - row.current_rank,
+    votingPowerChange: row.actual_voting_power - row.expected_voting_power,
+  };
+}
+
+function openStore(file) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+
+  const version = db.pragma("user_version", { simple: true });
+  MIGRATIONS.slice(version).forEach((sql, index) => {
+    db.transaction(() => {
+      db.exec(sql);
+      db.pragma(`user_version = ${version + index + 1}`);
+    })();
+  });
+
+  const statements = {
+    upsertProposal: db.prepare(`
+      INSERT INTO proposals (dao, proposal_id, title, proposer, start_block, end_block, state)
+      VALUES (@dao, @proposalId, @title, @proposer, @startBlock, @endBlock, @state)
+      ON CONFLICT (dao, proposal_id) DO UPDATE SET
+        title = excluded.title, proposer = excluded.proposer,
+        start_block = excluded.start_block, end_block = excluded.end_block,
+        state = excluded.state
+    `),
+    upsertProposalBlocks: db.prepare(`
+      INSERT INTO proposals (dao, proposal_id, snapshot_block, deadline_block)
+      VALUES (@dao, @proposalId, @snapshotBlock, @deadlineBlock)
+      ON CONFLICT (dao, proposal_id) DO UPDATE SET
+        snapshot_block = excluded.snapshot_block,
+        deadline_block = excluded.deadline_block
+    `),
+    upsertQuorum: db.prepare(`
+      INSERT INTO proposals (dao, proposal_id, quorum_votes, quorum_block)
+      VALUES (@dao, @proposalId, @votes, @block)
+      ON CONFLICT (dao, proposal_id) DO UPDATE SET
+        quorum_votes = excluded.quorum_votes, quorum_block = excluded.quorum_block
+    `),
+    selectProposal: db.prepare(
+      "SELECT * FROM proposals WHERE dao = ? AND proposal_id = ?"
+    ),
+    selectProposals: db.prepare(`
+      SELECT * FROM proposals WHERE dao = ? AND start_block IS NOT NULL
+      ORDER BY start_block DESC
+    `),
+    // A full record replaces whatever the governor-wide index stored
+    upsertVote: db.prepare(`
+      INSERT INTO votes (dao, proposal_id, voter, vote, weight, reason, params,
+        block_number, transaction_hash, log_index, voting_power, timestamp)
+      VALUES (@dao, @proposalId, @voter, @vote, @weight, @reason, @params,
+        @blockNumber, @transactionHash, @logIndex, @votingPower, @timestamp)
+      ON CONFLICT (dao, transaction_hash, log_index) DO UPDATE SET
+        params = excluded.params, voting_power = excluded.voting_power,
+        timestamp = excluded.timestamp
+    `),
+    insertVoteEvent: db.prepare(`
+      INSERT OR IGNORE INTO votes (dao, proposal_id, voter, vote, weight, reason,
+        params, block_number, transaction_hash, log_index)
+      VALUES (@dao, @proposalId, @voter, @vote, @weight, @reason, @params,
+        @blockNumber, @transactionHash, @logIndex)
+    `),
+    selectProposalVotes: db.prepare(`
+      SELECT votes.*, ens_names.name AS ens_name, ens_names.avatar
+      FROM votes LEFT JOIN ens_names ON ens_names.address = lower(votes.voter)
+      WHERE dao = ? AND proposal_id = ? AND timestamp IS NOT NULL
+      ORDER BY block_number, log_index
+    `),
+    selectVoterVotes: db.prepare(`
+      SELECT * FROM votes WHERE dao = ? AND voter = ?
+      ORDER BY block_number, log_index
+    `),
+    selectAllVotes: db.prepare(`
+      SELECT voter, proposal_id, vote FROM votes WHERE dao = ?
+      ORDER BY block_number, log_index
+    `),
+    selectLeaderboard: db.prepare(`
+      SELECT votes.voter, ens_names.name AS ens_name,
+        COUNT(DISTINCT votes.proposal_id) AS proposals_voted,
+        SUM(CAST(votes.weight AS REAL)) AS total_weight,
+        SUM(votes.reason != '') AS reasons_given
+      FROM votes LEFT JOIN ens_names ON ens_names.address = lower(votes.voter)
+      WHERE votes.dao = ?
+      GROUP BY votes.voter
+      ORDER BY proposals_voted DESC, total_weight DESC
+      LIMIT ?
+    `),
+    insertSnapshotDelegate: db.prepare(`
+      INSERT OR REPLACE INTO delegate_snapshots (dao, proposal_id, address,
+        expected_voting_power, actual_voting_power, delegations, on_chain_votes,
+        rank, current_rank)
+      VALUES (@dao, @proposalId, @address, @expectedVotingPower,
+        @actualVotingPower, @delegations, @onChainVotes, @rank, @currentRank)
+    `),
+    selectSnapshot: db.prepare(`
+      SELECT * FROM delegate_snapshots WHERE dao = ? AND proposal_id = ?
+      ORDER BY current_rank
+    `),
+    selectENSName: db.prepare("SELECT * FROM ens_names WHERE address = ?"),
+    upsertENSName: db.prepare(`
+      INSERT OR REPLACE INTO ens_names (address, name, avatar, resolved_at)
+      VALUES (?, ?, ?, ?)
+    `),
+    selectScanProgress: db.prepare(
+      "SELECT * FROM scan_progress WHERE dao = ? AND scope = ?"
+    ),
+    upsertScanProgress: db.prepare(`
+      INSERT INTO scan_progress (dao, scope, last_scanned_block, gaps)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT (dao, scope) DO UPDATE SET
+        last_scanned_block = excluded.last_scanned_block, gaps = excluded.gaps
+    `),
+    markRefreshed: db.prepare(
+      "UPDATE scan_progress SET refreshed_at = ? WHERE dao = ? AND scope = ?"
+    ),
+    // Proposals whose votes have been loaded at least once
+    selectCacheEntries: db.prepare(`
+      SELECT proposals.*, scan_progress.last_scanned_block, scan_progress.gaps,
+        scan_progress.refreshed_at,
+        (SELECT COUNT(*) FROM votes WHERE votes.dao = proposals.dao
+          AND votes.proposal_id = proposals.proposal_id
+          AND votes.timestamp IS NOT NULL) AS vote_count,
+        (SELECT COUNT(*) FROM delegate_snapshots
+          WHERE delegate_snapshots.dao = proposals.dao
+          AND delegate_snapshots.proposal_id = proposals.proposal_id) AS snapshot_size,
+        EXISTS (SELECT 1 FROM alert_state WHERE alert_state.dao = proposals.dao
+          AND alert_state.proposal_id = proposals.proposal_id) AS has_alert_state
+      FROM proposals JOIN scan_progress ON scan_progress.dao = proposals.dao
+        AND scan_progress.scope = proposals.proposal_id
+      WHERE proposals.dao = ? AND (? IS NULL OR proposals.proposal_id = ?)
+      ORDER BY proposals.snapshot_block DESC
+    `),
+    // Keep the governor-wide index's rows, dropping only what the proposal scan added
+    resetProposalVotes: db.prepare(`
+      UPDATE votes SET voting_power = NULL, timestamp = NULL
+      WHERE dao = ? AND proposal_id = ?
+    `),
+    deleteScanProgress: db.prepare(
+      "DELETE FROM scan_progress WHERE dao = ? AND scope = ?"
+    ),
+    selectBacking: db.prepare(`
+      SELECT * FROM delegate_backing WHERE dao = ? AND proposal_id = ? AND delegate = ?
+    `),
+    upsertBacking: db.prepare(`
+      INSERT OR REPLACE INTO delegate_backing (dao, proposal_id, delegate, past_votes,
+        delegators)
+      VALUES (?, ?, ?, ?, ?)
+    `),
+    deleteBacking: db.prepare(
+      "DELETE FROM delegate_backing WHERE dao = ? AND proposal_id = ?"
+    ),
+    selectDelegateProfile: db.prepare(
+      "SELECT * FROM delegate_profiles WHERE dao = ? AND address = ?"
+    ),
+    upsertDelegateProfile: db.prepare(`
+      INSERT OR REPLACE INTO delegate_profiles (dao, address, profile, built_at)
+      VALUES (?, ?, ?, ?)
+    `),
+    countDelegateProfiles: db.prepare(
+      "SELECT COUNT(*) AS count FROM delegate_profiles WHERE dao = ?"
+    ),
+    deleteDelegateProfiles: db.prepare(
+      "DELETE FROM delegate_profiles WHERE dao = ?"
+    ),
+    selectAlertState: db.prepare(
+      "SELECT state FROM alert_state WHERE dao = ? AND proposal_id = ?"
+    ),
+    upsertAlertState: db.prepare(`
+      INSERT OR REPLACE INTO alert_state (dao, proposal_id, state) VALUES (?, ?, ?)
+    `),
+    deleteAlertState: db.prepare(
+      "DELETE FROM alert_state WHERE dao = ? AND proposal_id = ?"
+    ),
+    resetProposalDetails: db.prepare(`
+      UPDATE proposals SET snapshot_block = NULL, deadline_block = NULL,
+        quorum_votes = NULL, quorum_block = NULL
+      WHERE dao = ? AND proposal_id = ?
+    `),
+  };
+
+  const saveVotes = db.transaction((dao, proposalId, votes) => {
+    votes.forEach((vote) =>
+      statements.upsertVote.run({
+        dao,
+        proposalId: proposalId.toString(),
+        voter: vote.voter,
+        vote: vote.vote,
+        weight: vote.weight,
+        reason: vote.reason,
+        params: vote.params ?? null,
+        blockNumber: vote.blockNumber,
+        transactionHash: vote.transactionHash,
+        logIndex: vote.logIndex,
+        votingPower: vote.votingPower ?? null,
+        timestamp: vote.isoTimestamp ?? null,
+      })
+    );
+  });
+
+  const saveVoteEvents = db.transaction((dao, votes) => {
+    votes.forEach((vote) =>
+      statements.insertVoteEvent.run({
+        dao,
+        ...vote,
+        params: vote.params ?? null,
+      })
+    );
+  });
+
+  const saveProposals = db.transaction((dao, proposals) => {
+    proposals.forEach((proposal) =>
+      statements.upsertProposal.run({
+        dao,
+        proposalId: proposal.proposalId,
+        title: proposal.title ?? null,
+        proposer: proposal.proposer ?? null,
+        startBlock: proposal.startBlock ?? null,
+        endBlock: proposal.endBlock ?? null,
+        state: proposal.state ?? null,
+      })
+    );
+  });
+
+  const saveDelegateSnapshot = db.transaction((dao, proposalId, delegates) => {
+    delegates.forEach((delegate) =>
+      statements.insertSnapshotDelegate.run({
+        dao,
+        proposalId: proposalId.toString(),
+        address: delegate.address,
+        expectedVotingPower: delegate.expectedVotingPower ?? null,
+        actualVotingPower: delegate.actualVotingPower,
+        delegations: delegate.delegations ?? null,
+        onChainVotes: delegate.onChainVotes ?? null,
+        rank: delegate.rank ?? null,
+        currentRank: delegate.currentRank,
+      })
+    );
+  });
+
+  const evictProposal = db.transaction((dao, proposalId) => {
+    const id = proposalId.toString();
+    statements.resetProposalVotes.run(dao, id);
+    statements.deleteBacking.run(dao, id);
+    statements.deleteScanProgress.run(dao, id);
+    statements.resetProposalDetails.run(dao, id);
+    statements.deleteAlertState.run(dao, id);
+    // Profiles list the proposal's votes and power, so they are built again too
+    statements.deleteDelegateProfiles.run(dao);
+  });
+
+  const store = {
+    close: () => db.close(),
+
+    saveProposals,
+
+    getProposals(dao) {
+      return statements.selectProposals.all(dao).map((row) => ({
+        proposalId: row.proposal_id,
+        title: row.title,
+        proposer: row.proposer,
+        startBlock: row.start_block,
+        endBlock: row.end_block,
+        state: row.state,
+      }));
+    },
+
+    // Snapshot and deadline blocks plus the governor's quorum, once known
+    getProposalDetails(dao, proposalId) {
+      const row = statements.selectProposal.get(dao, proposalId.toString());
+      if (!row) return null;
+      return {
+        snapshotBlock: row.snapshot_block,
+        deadlineBlock: row.deadline_block,
+        quorum:
+          row.quorum_votes === null
+            ? null
+            : {
+                votes: row.quorum_votes,
+                block: row.quorum_block,
+                source: "governor",
+              },
+      };
+    },
+
+    saveProposalBlocks(dao, proposalId, snapshotBlock, deadlineBlock) {
+      statements.upsertProposalBlocks.run({
+        dao,
+        proposalId: proposalId.toString(),
+        snapshotBlock: Number(snapshotBlock),
+        deadlineBlock: Number(deadlineBlock),
+      });
+    },
+
+    saveQuorum(dao, proposalId, quorum) {
+      statements.upsertQuorum.run({
+        dao,
+        proposalId: proposalId.toString(),
+        votes: quorum.votes,
+        block: quorum.block,
+      });
+    },
+
+    saveVotes,
+    saveVoteEvents,
+
+    // Fully indexed votes for one proposal, with cached ENS names
+    getProposalVotes(dao, proposalId) {
+      return statements.selectProposalVotes
+        .all(dao, proposalId.toString())
+        .map(toVoteRecord);
+    },
+
+    getVoterVotes(dao, voter) {
+      return statements.selectVoterVotes.all(dao, voter).map((row) => ({
+        proposalId: row.proposal_id,
+        vote: row.vote,
+        weight: row.weight,
+        reason: row.reason,
+        params: row.params,
+        blockNumber: row.block_number,
+        transactionHash: row.transaction_hash,
+      }));
+    },
+
+    // Lowercase voter -> proposal ID -> vote, across every indexed vote
+    getVoteHistory(dao) {
+      const history = {};
+      statements.selectAllVotes.all(dao).forEach((row) => {
+        const voter = row.voter.toLowerCase();
+        history[voter] = history[voter] || {};
+        history[voter][row.proposal_id] = row.vote;
+      });
+      return history;
+    },
+
+    getLeaderboard(dao, limit) {
+      return statements.selectLeaderboard.all(dao, limit).map((row) => ({
+        voter: row.voter,
+        ensName: row.ens_name || null,
+        proposalsVoted: row.proposals_voted,
+        totalWeight: row.total_weight,
+        reasonsGiven: row.reasons_given,
+      }));
+    },
+
+    saveDelegateSnapshot,
+
+    getDelegateSnapshot(dao, proposalId) {
+      const rows = statements.selectSnapshot.all(dao, proposalId.toString());
+      return rows.length > 0 ? rows.map(toSnapshotDelegate) : null;
+    },
+
+    // { pastVotes, delegators: [{ address, balance }] } or null when not built yet
+    getDelegateBacking(dao, proposalId, delegate) {
+      const row = statements.selectBacking.get(
+        dao,
+        proposalId.toString(),
+        delegate.toLowerCase()
+      );
+      return row
+        ? { pastVotes: row.past_votes, delegators: JSON.parse(row.delegators) }
+        : null;
+    },
+
+    saveDelegateBacking(dao, proposalId, delegate, backing) {
+      statements.upsertBacking.run(
+        dao,
+        proposalId.toString(),
+        delegate.toLowerCase(),
+        backing.pastVotes,
+        JSON.stringify(backing.delegators)
+      );
+    },
+
+    // { profile, builtAt } or null when never built
+    getDelegateProfile(dao, address) {
+      const row = statements.selectDelegateProfile.get(
+        dao,
+        address.toLowerCase()
+      );
+      return row
+        ? { profile: JSON.parse(row.profile), builtAt: row.built_at }
+        : null;
+    },
+
+    saveDelegateProfile(dao, address, profile, builtAt = Date.now()) {
+      statements.upsertDelegateProfile.run(
+        dao,
+        address.toLowerCase(),
+        JSON.stringify(profile),
+        builtAt
+      );
+    },
+
+    countDelegateProfiles(dao) {
+      return statements.countDelegateProfiles.get(dao).count;
+    },
+
+    getAlertState(dao, proposalId) {
+      const row = statements.selectAlertState.get(dao, proposalId.toString());
+      return row ? JSON.parse(row.state) : null;
+    },
+
+    saveAlertState(dao, proposalId, state) {
+      statements.upsertAlertState.run(
+        dao,
+        proposalId.toString(),
+        JSON.stringify(state)
+      );
+    },
+
+    getENSName(address) {
+      const row = statements.selectENSName.get(address.toLowerCase());
+      return row
+        ? { name: row.name, avatar: row.avatar, resolvedAt: row.resolved_at }
+        : null;
+    },
+
+    saveENSName(address, identity, resolvedAt) {
+      statements.upsertENSName.run(
+        address.toLowerCase(),
+        identity.name,
+        identity.avatar,
+        resolvedAt
+      );
+    },
+
+    getScanProgress(dao, scope) {
+      const row = statements.selectScanProgress.get(dao, String(scope));
+      if (!row) return null;
+      return {
+        lastScannedBlock: row.last_scanned_block,
+        gaps: JSON.parse(row.gaps),
+        refreshedAt: row.refreshed_at,
+      };
+    },
+
+    saveScanProgress(dao, scope, progress) {
+      statements.upsertScanProgress.run(
+        dao,
+        String(scope),
+        progress.lastScannedBlock,
+        JSON.stringify(progress.gaps || [])
+      );
+    },
+
+    markRefreshed(dao, scope, time = Date.now()) {
+      statements.markRefreshed.run(time, dao, String(scope));
+    },
+
+    // What is stored for each loaded proposal, or just one when `proposalId` is given
+    getCacheEntries(dao, proposalId = null) {
+      const id = proposalId === null ? null : proposalId.toString();
+      return statements.selectCacheEntries.all(dao, id, id).map((row) => ({
+        proposalId: row.proposal_id,
+        title: row.title,
+        state: row.state,
+        snapshotBlock: row.snapshot_block,
+        deadlineBlock: row.deadline_block,
+        quorumStored: row.quorum_votes !== null,
+        lastScannedBlock: row.last_scanned_block,
+        gaps: JSON.parse(row.gaps),
+        refreshedAt: row.refreshed_at,
+        votes: row.vote_count,
+        snapshotDelegates: row.snapshot_size,
+        alertState: row.has_alert_state === 1,
+      }));
+    },
+
+    // Forget a proposal's votes, quorum and alert state so the next load scans
+    // again and takes a new alert baseline. The delegate snapshot stays, since
+    // rebuilding it would change the drift data.
+    evictProposal,
+  };
+
+  return store;
+}
+
+// Import the JSON files earlier versions kept under CACHE_DIR, deleting each
+// file once its rows are stored. Files directly in CACHE_DIR predate per-DAO
+// directories and belong to `legacyDao`.
+async function importJSONCache(store, cacheDir, legacyDao) {
+  const readJSON = async (file) =>
+    JSON.parse(await fs.promises.readFile(file, "utf8"));
+  let entries;
+  try {
+    entries = await fs.promises.readdir(cacheDir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === "ENOENT") return 0;
+    throw error;
+  }
+
+  const dirs = [
+    { dao: legacyDao, dir: cacheDir },
+    ...entries
+      .filter((entry) => entry.isDirectory())
+      .map((entry) => ({
+        dao: entry.name,
+        dir: path.join(cacheDir, entry.name),
+      })),
+  ];
+
+  let imported = 0;
+  const importFile = async (file, load) => {
+    try {
+      load(await readJSON(file));
+      await fs.promises.unlink(file);
+      imported++;
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.warn(`Skipping cache file ${file}:`, error.message);
+      }
+    }
+  };
+
+  await importFile(path.join(cacheDir, "ens-names.json"), (names) => {
+    Object.entries(names).forEach(([address, identity]) =>
+      store.saveENSName(address, identity, identity.resolvedAt)
+    );
+  });
+
+  for (const { dao, dir } of dirs) {
+    const files = (await fs.promises.readdir(dir)).sort();
+
+    await importFile(path.join(dir, "proposals.json"), (cache) =>
+      store.saveProposals(dao, cache.data)
+    );
+
+    for (const file of files) {
+      const profile = /^delegate-(0x[0-9a-fA-F]{40})\.json$/.exec(file);
+      if (profile) {
+        await importFile(path.join(dir, file), (cache) =>
+          store.saveDelegateProfile(
+            dao,
+            profile[1],
+            cache.data,
+            cache.timestamp
+          )
+        );
+        continue;
+      }
+
+      const match =
+        /^(snapshot|quorum|votes|proposal|alerts)-(\d+)\.json$/.exec(file);
+      if (!match) continue;
+      const [, kind, proposalId] = match;
+
+      await importFile(path.join(dir, file), (data) => {
+        if (kind === "snapshot") {
+          store.saveDelegateSnapshot(dao, proposalId, data);
+        } else if (kind === "quorum") {
+          if (data.source === "governor") {
+            store.saveQuorum(dao, proposalId, data);
+          }
+        } else if (kind === "alerts") {
+          store.saveAlertState(dao, proposalId, data);
+        } else if (kind === "votes") {
+          store.saveVotes(dao, proposalId, data.votes);
+          store.saveScanProgress(dao, proposalId, data);
+        } else {
+          // Cached voting data: its snapshot and quorum may have no files of their own.
+          // The oldest caches hold votes as an HTML `delegate` string without the
+          // log they came from, so those votes are dropped and scanned again.
+          if (data.data.votes.every((vote) => vote.transactionHash)) {
+            store.saveVotes(dao, proposalId, data.data.votes);
+          }
+          if (!store.getDelegateSnapshot(dao, proposalId)) {
+            store.saveDelegateSnapshot(
+              dao,
+              proposalId,
+              data.data.delegateSnapshot
+            );
+          }
+          if (data.data.quorum && data.data.quorum.source === "governor") {
+            store.saveQuorum(dao, proposalId, data.data.quorum);
+          }
+        }
+      });
+    }
+  }
+
+  return imported;
+}
+
+module.exports = {
+  openStore,
+  importJSONCache,
+};
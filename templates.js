@@ -0,0 +1,1695 @@
+// HTML templates for the dashboard.
+//
+// Every value interpolated into an `html` template is escaped unless it is
+// already SafeHtml (the output of another template), so vote reasons, ENS
+// names and query parameters can never inject markup.
+
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+  "`": "&#96;",
+};
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"'`]/g, (char) => HTML_ESCAPES[char]);
+}
+
+function renderValue(value) {
+  if (value instanceof SafeHtml) return value.value;
+  if (Array.isArray(value)) return value.map(renderValue).join("");
+  if (value === null || value === undefined || value === false) return "";
+  return escapeHtml(value);
+}
+
+// Tagged template: html`<p>${untrusted}</p>` escapes, nested templates pass through
+function html(strings, ...values) {
+  return new SafeHtml(
+    strings.reduce(
+      (out, string, i) =>
+        out + string + (i < values.length ? renderValue(values[i]) : ""),
+      ""
+    )
+  );
+}
+
+// Build a same-origin link with every query parameter URL-encoded
+function pageUrl(pathname, params = {}) {
+  const query = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== "") {
+      query.set(key, String(value));
+    }
+  });
+  const search = query.toString();
+  return search ? `${pathname}?${search}` : pathname;
+}
+
+// Update the number formatting function
+function formatNumber(number) {
+  const num = parseFloat(number);
+  if (num >= 1000) {
+    return `${(num / 1000).toFixed(1)}K`;
+  }
+  return new Intl.NumberFormat("en-US", {
+    maximumFractionDigits: 2,
+    minimumFractionDigits: 2,
+  }).format(num);
+}
+
+// For stats, let's keep the full numbers but add K notation in parentheses for large values
+function formatStatNumber(number) {
+  const num = parseFloat(number);
+  const fullFormat = new Intl.NumberFormat("en-US", {
+    maximumFractionDigits: 2,
+    minimumFractionDigits: 2,
+  }).format(num);
+
+  if (num >= 1000) {
+    return `${fullFormat} (${(num / 1000).toFixed(1)}K)`;
+  }
+  return fullFormat;
+}
+
+// Shared page shell; styles and scripts are served from /static for the CSP
+function renderPage({ title, body, script = false }) {
+  return html`<!DOCTYPE html>
+    <html>
+      <head>
+        <meta charset="UTF-8" />
+        <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+        <title>${title}</title>
+        <link rel="stylesheet" href="/static/dashboard.css" />
+      </head>
+      <body>
+        ${body}
+        ${script ? html`<script src="/static/dashboard.js"></script>` : ""}
+      </body>
+    </html>`;
+}
+
+// Inline Markdown: code spans, links, bare URLs, bold and italics.
+// Only http(s) URLs become links, so reasons can't carry javascript: hrefs.
+const MARKDOWN_INLINE =
+  /`([^`]+)`|\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)|(https?:\/\/[^\s<>()]*[^\s<>().,;:!?'"])|\*\*(.+?)\*\*|\*([^*\s](?:[^*]*[^*\s])?)\*/g;
+
+function markdownLink(href, label) {
+  return html`<a
+    href="${href}"
+    target="_blank"
+    rel="nofollow noopener noreferrer"
+    >${label}</a
+  >`;
+}
+
+function renderInlineMarkdown(text) {
+  const parts = [];
+  let last = 0;
+  for (const match of text.matchAll(MARKDOWN_INLINE)) {
+    const [source, code, label, href, url, bold, italic] = match;
+    parts.push(text.slice(last, match.index));
+    if (code !== undefined) {
+      parts.push(html`<code>${code}</code>`);
+    } else if (label !== undefined) {
+      parts.push(markdownLink(href, label));
+    } else if (url !== undefined) {
+      parts.push(markdownLink(url, url));
+    } else if (bold !== undefined) {
+      parts.push(html`<strong>${renderInlineMarkdown(bold)}</strong>`);
+    } else {
+      parts.push(html`<em>${renderInlineMarkdown(italic)}</em>`);
+    }
+    last = match.index + source.length;
+  }
+  parts.push(text.slice(last));
+  return html`${parts}`;
+}
+
+function renderMarkdownBlock(block) {
+  const lines = block.split("\n");
+  if (lines.every((line) => /^\s*>/.test(line))) {
+    return html`<blockquote>
+      ${renderMarkdown(
+        lines.map((line) => line.replace(/^\s*> ?/, "")).join("\n")
+      )}
+    </blockquote>`;
+  }
+  if (lines.every((line) => /^\s*[-*+]\s/.test(line))) {
+    return html`<ul>
+      ${lines.map(
+        (line) =>
+          html`<li>
+            ${renderInlineMarkdown(line.replace(/^\s*[-*+]\s+/, ""))}
+          </li>`
+      )}
+    </ul>`;
+  }
+  if (lines.every((line) => /^\s*\d+[.)]\s/.test(line))) {
+    return html`<ol>
+      ${lines.map(
+        (line) =>
+          html`<li>
+            ${renderInlineMarkdown(line.replace(/^\s*\d+[.)]\s+/, ""))}
+          </li>`
+      )}
+    </ol>`;
+  }
+
+  // Headings stay inline-sized so a reason can't outshout the page
+  return html`<p>
+    ${lines.map((line, index) => {
+      const heading = /^#{1,6}\s+(.*)$/.exec(line);
+      return html`${index > 0 && html`<br />`}${heading
+        ? html`<strong>${renderInlineMarkdown(heading[1])}</strong>`
+        : renderInlineMarkdown(line)}`;
+    })}
+  </p>`;
+}
+
+// Render the Markdown subset delegates use in reasons; raw HTML is shown as text
+function renderMarkdown(text) {
+  return html`${String(text)
+    .replace(/\r\n?/g, "\n")
+    .trim()
+    .split(/\n\s*\n/)
+    .filter((block) => block.trim())
+    .map(renderMarkdownBlock)}`;
+}
+
+function renderError(error) {
+  return html`Error: ${error.message}`;
+}
+
+function explorerAddressUrl(dao, address) {
+  return `${dao.explorerUrl}/address/${address}`;
+}
+
+// Shortened address linking to the delegate profile, with a block explorer shortcut
+function formatAddressLink(address, dao) {
+  return html`<a
+      href="${pageUrl(`/delegate/${address}`, { dao: dao.id })}"
+      class="address-link"
+      >${address.substring(0, 6)}...${address.substring(38)}</a
+    >
+    <a
+      href="${explorerAddressUrl(dao, address)}"
+      target="_blank"
+      class="etherscan-link"
+      title="View on block explorer"
+      >↗</a
+    >`;
+}
+
+// ENS name and avatar when known, always followed by the linked address
+function formatDelegateName(identity, dao) {
+  const link = formatAddressLink(identity.address, dao);
+  if (!identity.name) {
+    return html`<span class="address">${link}</span>`;
+  }
+
+  // Only plain https avatars render directly; NFT avatar URIs would need resolving
+  const avatar =
+    identity.avatar && identity.avatar.startsWith("https://")
+      ? html`<img class="ens-avatar" src="${identity.avatar}" alt="" />`
+      : "";
+  return html`${avatar}<span class="ens-name">${identity.name}</span>
+    <span class="address">(${link})</span>`;
+}
+
+function voteIdentity(vote) {
+  return { address: vote.voter, name: vote.ensName, avatar: vote.avatar };
+}
+
+function voteClass(vote) {
+  return vote === "For" ? "vote-for" : vote === "Against" ? "vote-against" : "";
+}
+
+// The data attributes let the live feed place new rows under the active sort
+function generateVoteRow(vote, dao) {
+  return html`
+    <tr
+      data-name="${(vote.ensName || vote.voter).toLowerCase()}"
+      data-vote="${vote.vote}"
+      data-weight="${vote.weight}"
+      data-power="${vote.votingPower}"
+      data-time="${vote.isoTimestamp}"
+    >
+      <td>${formatDelegateName(voteIdentity(vote), dao)}</td>
+      <td>
+        <span class="${voteClass(vote.vote)}">${vote.vote}</span>
+      </td>
+      <td class="voting-power">
+        ${formatNumber(vote.weight)}
+        <button
+          type="button"
+          class="delegators-button"
+          data-voter="${vote.voter}"
+          aria-expanded="false"
+        >
+          Delegators
+        </button>
+      </td>
+      <td>${vote.timestamp}</td>
+      <td class="reason-cell">
+        ${vote.reason
+          ? html`<button
+              type="button"
+              class="reason-button"
+              data-reason="${vote.reason}"
+            >
+              Show
+            </button>`
+          : ""}
+        ${vote.params
+          ? html`<code class="vote-params" title="Vote params">
+              ${vote.params}
+            </code>`
+          : ""}
+      </td>
+    </tr>
+  `;
+}
+
+// Expanded under a vote row: who had delegated to the voter at the snapshot
+function generateDelegatorsRow(backing, dao) {
+  return html`
+    <tr class="delegators-row" data-voter="${backing.delegate}">
+      <td colspan="5">
+        <p class="delegators-summary">
+          Voting power at block ${backing.snapshotBlock}:
+          ${formatStatNumber(backing.pastVotes)}, of which
+          ${formatStatNumber(backing.delegatedTotal)} came from
+          ${backing.delegators.length} delegating holders.
+          ${backing.matches
+            ? "Every token is accounted for."
+            : `${formatStatNumber(
+                backing.unexplained
+              )} could not be matched to a delegator's balance.`}
+          ${backing.complete
+            ? ""
+            : "Some block ranges could not be scanned, so delegators may be missing."}
+        </p>
+        ${backing.delegators.length > 0
+          ? html`<table class="delegators-table">
+              <thead>
+                <tr>
+                  <th>Delegator</th>
+                  <th>Balance</th>
+                  <th>Share</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${backing.delegators.map(
+                  (delegator) => html`<tr>
+                    <td>
+                      ${formatDelegateName(
+                        { address: delegator.address, name: delegator.ensName },
+                        dao
+                      )}
+                    </td>
+                    <td class="voting-power">
+                      ${formatStatNumber(delegator.balance)}
+                    </td>
+                    <td>${(delegator.share * 100).toFixed(2)}%</td>
+                  </tr>`
+                )}
+              </tbody>
+            </table>`
+          : ""}
+      </td>
+    </tr>
+  `;
+}
+
+function generateStatsGrid(stats) {
+  return html`
+    <div class="stats-grid">
+      <div class="stats-section">
+        <h3>Vote Counts</h3>
+        <p>Total Votes: ${stats.totalVotes.toLocaleString()}</p>
+        <p>
+          For: ${stats.forCount.toLocaleString()} votes
+          (${formatStatNumber(stats.forVotes)} weight)
+        </p>
+        <p>
+          Against: ${stats.againstCount.toLocaleString()} votes
+          (${formatStatNumber(stats.againstVotes)} weight)
+        </p>
+        <p>
+          Abstain: ${stats.abstainCount.toLocaleString()} votes
+          (${formatStatNumber(stats.abstainVotes)} weight)
+        </p>
+      </div>
+
+      <div class="stats-section">
+        <h3>Quorum Status</h3>
+        <p
+          class="quorum-status ${stats.hasReachedQuorum ? "reached" : "needed"}"
+        >
+          ${stats.hasReachedQuorum
+            ? "✅ Quorum Reached"
+            : "⏳ Quorum Not Reached"}
+        </p>
+        <p>Current Quorum Votes: ${formatStatNumber(stats.quorumVotes)}</p>
+        <p>Required Quorum: ${formatStatNumber(stats.requiredQuorum)}</p>
+        <p class="quorum-source">
+          ${stats.quorumSource === "governor"
+            ? `Read from governor at block ${stats.quorumBlock}`
+            : `Governor unavailable, using fallback of ${formatStatNumber(
+                stats.requiredQuorum
+              )}`}
+        </p>
+        ${!stats.hasReachedQuorum
+          ? html`<p class="votes-needed">
+              Needs ${formatStatNumber(stats.votesNeededForQuorum)} more votes
+            </p>`
+          : ""}
+      </div>
+    </div>
+  `;
+}
+
+// Delegates must already carry their resolved `identity`
+// `header` renders a column heading, letting the proposal page make them sortable
+function generateNotVotedTable(
+  delegates,
+  dao,
+  header = (column, label) => html`<th>${label}</th>`
+) {
+  const withProjection = delegates.some((delegate) => delegate.projection);
+
+  return html`
+    <table class="votes-table">
+      <thead>
+        <tr>
+          ${header("voter", "Delegate")} ${header("power", "Voting Power")}
+          ${withProjection
+            ? html`<th>Past Votes</th>
+                <th>Assumed Vote</th>`
+            : ""}
+        </tr>
+      </thead>
+      <tbody>
+        ${delegates.map(
+          (delegate) => html`
+            <tr>
+              <td>${formatDelegateName(delegate.identity, dao)}</td>
+              <td class="voting-power">
+                ${formatNumber(delegate.actualVotingPower)}
+              </td>
+              ${delegate.projection ? generateProjectionCells(delegate) : ""}
+            </tr>
+          `
+        )}
+      </tbody>
+    </table>
+  `;
+}
+
+const ASSUMED_VOTES = [
+  ["For", "For"],
+  ["Against", "Against"],
+  ["Abstain", "Abstain"],
+  ["none", "Not voting"],
+];
+
+// Past vote counts and a selector for the vote the projection assumes
+function generateProjectionCells(delegate) {
+  const { counts, assumedVote } = delegate.projection;
+  const past = Object.entries(counts)
+    .filter(([, count]) => count > 0)
+    .map(([vote, count]) => `${count} ${vote}`)
+    .join(", ");
+  const selected = assumedVote || "none";
+
+  return html`
+    <td>${past || "No earlier votes"}</td>
+    <td>
+      <select
+        class="projection-vote"
+        data-power="${delegate.actualVotingPower}"
+        aria-label="Assumed vote"
+      >
+        ${ASSUMED_VOTES.map(
+          ([value, label]) =>
+            html`<option value="${value}" ${value === selected && "selected"}>
+              ${label}
+            </option>`
+        )}
+      </select>
+    </td>
+  `;
+}
+
+function formatOutcome(outcome) {
+  if (outcome.passes) return "Passes";
+  if (!outcome.hasReachedQuorum) return "Fails: quorum not reached";
+  return "Fails: For does not lead Against";
+}
+
+// Swing still available from the outstanding delegates, and the expected result
+// `shownDelegates` are the table rows with a vote selector; everyone else's
+// assumed vote is already counted in the totals the page script starts from
+function generateProjectionPanel(projection, shownDelegates) {
+  const { expected, quorum } = projection;
+  const shown = new Set(shownDelegates.map((delegate) => delegate.address));
+  const base = { ...projection.current };
+  projection.delegates
+    .filter((delegate) => !shown.has(delegate.address) && delegate.assumedVote)
+    .forEach((delegate) => {
+      base[`${delegate.assumedVote.toLowerCase()}Votes`] +=
+        delegate.actualVotingPower;
+    });
+
+  return html`
+    <div
+      class="projection"
+      id="projection"
+      data-for="${base.forVotes}"
+      data-against="${base.againstVotes}"
+      data-abstain="${base.abstainVotes}"
+      data-quorum="${projection.requiredQuorum}"
+    >
+      <h2>Outcome Projection</h2>
+      <div class="stats-grid">
+        <div class="stats-section">
+          <h3>Still To Vote</h3>
+          <p>
+            ${projection.remainingDelegates} delegates holding
+            ${formatStatNumber(projection.remainingVotingPower)} voting power
+          </p>
+          <p class="projection-verdict">
+            ${projection.canFlip
+              ? "Enough to flip the result: it passes if they all vote For and fails if they all vote Against"
+              : `Not enough to change the result: it ${
+                  projection.ifAllFor.passes ? "passes" : "fails"
+                } whichever way they vote`}
+          </p>
+          <p>
+            ${quorum.reached
+              ? "Quorum is already reached and can no longer be blocked"
+              : quorum.reachable
+              ? "Quorum is not reached yet; outstanding delegates can still reach it by voting For or Abstain, or block it by staying out or voting Against"
+              : "Quorum can no longer be reached even if every outstanding delegate votes For or Abstain"}
+          </p>
+        </div>
+
+        <div class="stats-section">
+          <h3>Expected Result</h3>
+          <p>
+            Based on how each outstanding delegate voted on earlier proposals
+          </p>
+          <p>
+            For:
+            <span id="projection-for"
+              >${formatStatNumber(expected.forVotes)}</span
+            >
+          </p>
+          <p>
+            Against:
+            <span id="projection-against"
+              >${formatStatNumber(expected.againstVotes)}</span
+            >
+          </p>
+          <p>
+            Abstain:
+            <span id="projection-abstain"
+              >${formatStatNumber(expected.abstainVotes)}</span
+            >
+          </p>
+          <p>
+            Quorum Votes:
+            <span id="projection-quorum"
+              >${formatStatNumber(expected.quorumVotes)}</span
+            >
+            of ${formatStatNumber(projection.requiredQuorum)}
+          </p>
+          <p
+            class="projection-result ${expected.passes ? "passes" : "fails"}"
+            id="projection-result"
+          >
+            ${formatOutcome(expected)}
+          </p>
+        </div>
+      </div>
+      <p class="quorum-source">
+        Change an assumed vote in the table below to recompute the expected
+        result
+      </p>
+    </div>
+  `;
+}
+
+const TIMELINE_SERIES = [
+  ["forVotes", "For", "timeline-for"],
+  ["againstVotes", "Against", "timeline-against"],
+  ["abstainVotes", "Abstain", "timeline-abstain"],
+];
+
+// Cumulative weight as step lines in an inline SVG, no client-side charting needed
+function generateTimelineChart(timeline) {
+  const { points } = timeline;
+  if (points.length === 0) {
+    return html`<p class="timeline-empty">No votes cast yet</p>`;
+  }
+
+  const width = 800;
+  const height = 280;
+  const margin = { top: 20, right: 20, bottom: 40, left: 80 };
+  const firstBlock = Math.min(timeline.snapshotBlock, points[0].blockNumber);
+  const lastBlock = Math.max(
+    points[points.length - 1].blockNumber,
+    firstBlock + 1
+  );
+  const maxWeight =
+    Math.max(
+      timeline.requiredQuorum,
+      ...points.map((p) => Math.max(p.forVotes, p.againstVotes, p.abstainVotes))
+    ) * 1.1;
+
+  const x = (block) =>
+    (
+      margin.left +
+      ((block - firstBlock) / (lastBlock - firstBlock)) *
+        (width - margin.left - margin.right)
+    ).toFixed(1);
+  const y = (weight) =>
+    (
+      height -
+      margin.bottom -
+      (weight / maxWeight) * (height - margin.top - margin.bottom)
+    ).toFixed(1);
+
+  const stepPath = (key) => {
+    let previous = 0;
+    const commands = [`M${x(firstBlock)},${y(0)}`];
+    points.forEach((point) => {
+      commands.push(`L${x(point.blockNumber)},${y(previous)}`);
+      commands.push(`L${x(point.blockNumber)},${y(point[key])}`);
+      previous = point[key];
+    });
+    return commands.join(" ");
+  };
+
+  const quorumY = y(timeline.requiredQuorum);
+  const crossed = timeline.quorumReached;
+
+  return html`
+    <svg
+      class="timeline-chart"
+      viewBox="0 0 ${width} ${height}"
+      role="img"
+      aria-label="Cumulative voting weight by block"
+    >
+      <line
+        class="timeline-axis"
+        x1="${margin.left}"
+        y1="${y(0)}"
+        x2="${width - margin.right}"
+        y2="${y(0)}"
+      />
+      <line
+        class="timeline-axis"
+        x1="${margin.left}"
+        y1="${margin.top}"
+        x2="${margin.left}"
+        y2="${y(0)}"
+      />
+      <text
+        class="timeline-label"
+        x="${margin.left - 6}"
+        y="${y(0)}"
+        text-anchor="end"
+      >
+        0
+      </text>
+      <text
+        class="timeline-label"
+        x="${margin.left - 6}"
+        y="${quorumY}"
+        text-anchor="end"
+      >
+        ${formatNumber(timeline.requiredQuorum)}
+      </text>
+      <text class="timeline-label" x="${margin.left}" y="${height - 10}">
+        Block ${firstBlock}
+      </text>
+      <text
+        class="timeline-label"
+        x="${width - margin.right}"
+        y="${height - 10}"
+        text-anchor="end"
+      >
+        Block ${lastBlock}
+      </text>
+
+      <line
+        class="timeline-quorum"
+        x1="${margin.left}"
+        y1="${quorumY}"
+        x2="${width - margin.right}"
+        y2="${quorumY}"
+      >
+        <title>
+          Required quorum: ${formatStatNumber(timeline.requiredQuorum)}
+        </title>
+      </line>
+      ${crossed
+        ? html`<line
+            class="timeline-quorum-reached"
+            x1="${x(crossed.blockNumber)}"
+            y1="${margin.top}"
+            x2="${x(crossed.blockNumber)}"
+            y2="${y(0)}"
+          >
+            <title>
+              Quorum reached at block ${crossed.blockNumber}
+              (${crossed.timestamp})
+            </title>
+          </line>`
+        : ""}
+      ${TIMELINE_SERIES.map(
+        ([key, label, className]) => html`
+          <path class="timeline-line ${className}" d="${stepPath(key)}">
+            <title>${label}</title>
+          </path>
+          ${points.map(
+            (point) => html`<circle
+              class="timeline-point ${className}"
+              cx="${x(point.blockNumber)}"
+              cy="${y(point[key])}"
+              r="2.5"
+            >
+              <title>
+                ${label}: ${formatStatNumber(point[key])} at block
+                ${point.blockNumber} (${point.timestamp})
+              </title>
+            </circle>`
+          )}
+        `
+      )}
+    </svg>
+    <div class="timeline-legend">
+      ${TIMELINE_SERIES.map(
+        ([, label, className]) =>
+          html`<span class="timeline-key ${className}">${label}</span>`
+      )}
+      <span class="timeline-key timeline-quorum">Quorum</span>
+      ${crossed
+        ? html`<span class="timeline-key timeline-quorum-reached"
+            >Quorum reached at block ${crossed.blockNumber}</span
+          >`
+        : ""}
+    </div>
+  `;
+}
+
+const VIEW_BUTTONS = [
+  ["all", "All"],
+  ["for", "For"],
+  ["against", "Against"],
+  ["abstain", "Abstain"],
+  ["notvoted", "Not Yet Voted"],
+];
+
+const PAGE_SIZES = [25, 50, 100, 250, 500];
+
+// Search, weight range and page size for the vote table, submitted as a GET
+// form so the URL keeps describing the table
+function generateTableFilters(params, filters, pagination) {
+  const { q, min, max, limit, ...hidden } = params;
+  const weightLabel = hidden.view === "notvoted" ? "voting power" : "weight";
+
+  return html`
+    <form class="table-filters" method="get" action="/">
+      ${Object.entries(hidden)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(
+          ([name, value]) =>
+            html`<input type="hidden" name="${name}" value="${value}" />`
+        )}
+      <input
+        type="search"
+        name="q"
+        value="${filters.search}"
+        placeholder="Search address or ENS name"
+        size="30"
+      />
+      <input
+        type="number"
+        name="min"
+        value="${filters.minWeight}"
+        placeholder="Min ${weightLabel}"
+        min="0"
+        step="any"
+      />
+      <input
+        type="number"
+        name="max"
+        value="${filters.maxWeight}"
+        placeholder="Max ${weightLabel}"
+        min="0"
+        step="any"
+      />
+      <select name="limit" aria-label="Rows per page">
+        ${PAGE_SIZES.map(
+          (size) =>
+            html`<option
+              value="${size}"
+              ${size === pagination.limit && "selected"}
+            >
+              ${size} per page
+            </option>`
+        )}
+      </select>
+      <button type="submit">Filter</button>
+    </form>
+  `;
+}
+
+function generatePagination(params, pagination) {
+  const { page, pageCount, total, limit } = pagination;
+  const first = total === 0 ? 0 : (page - 1) * limit + 1;
+  const last = Math.min(page * limit, total);
+
+  return html`
+    <nav class="pagination">
+      ${page > 1
+        ? html`<a
+            href="${pageUrl("/", { ...params, page: page - 1 })}"
+            class="view-button"
+            >Previous</a
+          >`
+        : ""}
+      <span
+        >Showing ${first}-${last} of ${total}, page ${page} of
+        ${pageCount}</span
+      >
+      ${page < pageCount
+        ? html`<a
+            href="${pageUrl("/", { ...params, page: page + 1 })}"
+            class="view-button"
+            >Next</a
+          >`
+        : ""}
+    </nav>
+  `;
+}
+
+function renderProposalPage({
+  dao,
+  daos,
+  proposalId,
+  rpcUrl,
+  rpcStatus,
+  viewFilter,
+  sortBy,
+  sortDir,
+  filters,
+  pagination,
+  data,
+  stats,
+  timeline,
+  projection,
+  tableData,
+}) {
+  const pageParams = { dao: dao.id, proposal: proposalId, rpc: rpcUrl };
+  // Changing the view, sort or filters starts again from the first page
+  const tableParams = {
+    ...pageParams,
+    view: viewFilter,
+    sort: sortBy,
+    dir: sortDir,
+    q: filters.search,
+    min: filters.minWeight,
+    max: filters.maxWeight,
+    limit: filters.limit,
+  };
+  const isFiltered =
+    filters.search !== "" ||
+    filters.minWeight !== null ||
+    filters.maxWeight !== null ||
+    pagination.page > 1;
+
+  // Clicking the active column flips direction, a new column starts descending
+  const sortHeader = (column, label) => html` <th>
+    <a
+      class="sort-header"
+      href="${pageUrl("/", {
+        ...tableParams,
+        sort: column,
+        dir: sortBy === column && sortDir === "desc" ? "asc" : "desc",
+      })}"
+    >
+      ${label} ${sortBy === column ? (sortDir === "asc" ? "↑" : "↓") : ""}
+    </a>
+  </th>`;
+
+  const tableHTML =
+    viewFilter === "notvoted"
+      ? html`${projection ? generateProjectionPanel(projection, tableData) : ""}
+        ${generateNotVotedTable(tableData, dao, sortHeader)}`
+      : html`
+          <table
+            class="votes-table"
+            id="votes-table"
+            data-dao="${dao.id}"
+            data-proposal="${proposalId}"
+            data-rpc="${rpcUrl}"
+          >
+            <thead>
+              <tr>
+                ${sortHeader("voter", "Voter")} ${sortHeader("vote", "Vote")}
+                ${sortHeader("weight", "Weight")} ${sortHeader("time", "Time")}
+                <th>Reason</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${tableData.map((vote) => generateVoteRow(vote, dao))}
+            </tbody>
+          </table>
+        `;
+
+  const refreshNote = html` <div class="refresh-note">
+    Last updated: ${new Date().toLocaleString()}
+    <span class="live-status">(Refresh page to update data)</span>
+  </div>`;
+
+  return renderPage({
+    title: `${dao.name} Votes - Proposal ${proposalId}`,
+    script: true,
+    body: html`
+      <div class="proposal-header">
+        <h1>${dao.name} Votes</h1>
+        <span class="proposal-id">Proposal: ${proposalId}</span>
+        <a
+          href="${pageUrl("/proposals", {
+            dao: dao.id,
+            rpc: rpcUrl,
+          })}"
+          class="view-button"
+          >All Proposals</a
+        >
+        <a href="${pageUrl("/drift", pageParams)}" class="view-button"
+          >Snapshot Drift</a
+        >
+        <a href="${pageUrl("/reasons", pageParams)}" class="view-button"
+          >Reasons</a
+        >
+        <a href="${pageUrl("/compare", pageParams)}" class="view-button"
+          >Compare</a
+        >
+      </div>
+
+      <div class="rpc-form">
+        <form id="configForm">
+          <div class="form-row">
+            <label>
+              <span class="label-text">DAO:</span>
+              <div class="input-wrapper">
+                <select name="dao">
+                  ${daos.map(
+                    (option) =>
+                      html`<option
+                        value="${option.id}"
+                        ${option.id === dao.id && "selected"}
+                      >
+                        ${option.name}
+                      </option>`
+                  )}
+                </select>
+              </div>
+            </label>
+          </div>
+          <div class="form-row">
+            <label>
+              <span class="label-text">RPC URL:</span>
+              <div class="input-wrapper">
+                <input type="text" name="rpc" value="${rpcUrl}" size="50" />
+                <span
+                  class="rpc-status ${rpcStatus.active ? "active" : "inactive"}"
+                  title="${rpcStatus.healthyCount}/${rpcStatus.endpoints
+                    .length} RPC endpoints active"
+                  >●</span
+                >
+              </div>
+            </label>
+          </div>
+          <div class="form-row">
+            <label>
+              <span class="label-text">Proposal ID:</span>
+              <div class="input-wrapper">
+                <input
+                  type="text"
+                  name="proposal"
+                  value="${proposalId}"
+                  size="50"
+                />
+              </div>
+            </label>
+          </div>
+          <button type="submit">Update Configuration</button>
+        </form>
+      </div>
+
+      ${refreshNote}
+      ${data.scanStatus && data.scanStatus.gaps.length > 0
+        ? html`<p class="votes-needed">
+            ${data.scanStatus.gaps.length} block range(s) could not be scanned
+            yet and will be retried on the next refresh
+          </p>`
+        : ""}
+
+      <div class="stats">
+        <h2>Voting Statistics</h2>
+        <div id="stats-panel">${generateStatsGrid(stats)}</div>
+      </div>
+
+      <div class="timeline">
+        <h2>Vote Timeline</h2>
+        <div id="timeline-panel">${generateTimelineChart(timeline)}</div>
+        <a
+          href="${pageUrl(`/api/proposals/${proposalId}/timeline`, {
+            dao: dao.id,
+            rpc: rpcUrl,
+          })}"
+          class="view-button"
+          >Timeline JSON</a
+        >
+      </div>
+
+      <div class="view-buttons">
+        ${VIEW_BUTTONS.map(
+          ([view, label]) => html` <a
+            href="${pageUrl("/", { ...tableParams, view })}"
+            class="view-button ${viewFilter === view ? "active" : ""}"
+            >${label}</a
+          >`
+        )}
+        <span class="export-links">
+          <a
+            href="${pageUrl("/export", {
+              ...tableParams,
+              format: "csv",
+            })}"
+            class="view-button"
+            >Download CSV</a
+          >
+          <a
+            href="${pageUrl("/export", {
+              ...tableParams,
+              format: "json",
+            })}"
+            class="view-button"
+            >Download JSON</a
+          >
+        </span>
+      </div>
+
+      ${generateTableFilters(tableParams, filters, pagination)} ${tableHTML}
+      ${generatePagination(tableParams, pagination)} ${refreshNote}
+
+      <div
+        id="live-config"
+        data-dao="${dao.id}"
+        data-proposal="${proposalId}"
+        data-rpc="${rpcUrl}"
+        data-view="${viewFilter}"
+        data-sort="${sortBy}"
+        data-dir="${sortDir}"
+        data-filtered="${isFiltered}"
+        data-more-pages="${pagination.page < pagination.pageCount}"
+        data-last-block="${Math.max(
+          0,
+          ...data.votes.map((vote) => vote.blockNumber)
+        )}"
+      ></div>
+
+      <!-- Add modal elements at the end of the body -->
+      <div class="modal-backdrop" id="modalBackdrop"></div>
+      <div class="reason-modal" id="reasonModal">
+        <h3>Vote Reason</h3>
+        <p id="reasonText"></p>
+      </div>
+    `,
+  });
+}
+
+function renderProposalsPage({ dao, proposals, rpcUrl }) {
+  return renderPage({
+    title: `${dao.name} Proposals`,
+    body: html`
+      <div class="proposal-header">
+        <h1>${dao.name} Proposals</h1>
+        <span class="proposal-id">${proposals.length} proposals</span>
+      </div>
+
+      <table class="votes-table">
+        <thead>
+          <tr>
+            <th>Proposal</th>
+            <th>Proposer</th>
+            <th>Start Block</th>
+            <th>End Block</th>
+            <th>State</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${proposals.map(
+            (proposal) => html`
+              <tr>
+                <td>
+                  <a
+                    href="${pageUrl("/", {
+                      dao: dao.id,
+                      proposal: proposal.proposalId,
+                      rpc: rpcUrl,
+                    })}"
+                    >${proposal.title}</a
+                  >
+                </td>
+                <td>
+                  <a
+                    href="${explorerAddressUrl(dao, proposal.proposer)}"
+                    target="_blank"
+                    class="address-link"
+                    >${proposal.proposer.substring(
+                      0,
+                      6
+                    )}...${proposal.proposer.substring(38)}</a
+                  >
+                </td>
+                <td>${proposal.startBlock}</td>
+                <td>${proposal.endBlock}</td>
+                <td>
+                  <span class="proposal-state ${proposal.state.toLowerCase()}"
+                    >${proposal.state}</span
+                  >
+                </td>
+              </tr>
+            `
+          )}
+        </tbody>
+      </table>
+
+      <div class="refresh-note">
+        Last updated: ${new Date().toLocaleString()} (Refresh page to update
+        data)
+      </div>
+    `,
+  });
+}
+
+function renderDelegatePage({ dao, profile, rpcUrl }) {
+  const proposalLink = (p) =>
+    html`<a
+      href="${pageUrl("/", {
+        dao: dao.id,
+        proposal: p.proposalId,
+        rpc: rpcUrl,
+      })}"
+      >${p.title}</a
+    >`;
+
+  return renderPage({
+    title: `${dao.name} Delegate - ${profile.ensName || profile.address}`,
+    body: html`
+      <div class="proposal-header">
+        <h1>${profile.ensName || "Delegate"}</h1>
+        <a
+          href="${explorerAddressUrl(dao, profile.address)}"
+          target="_blank"
+          class="address-link"
+          >${profile.address}</a
+        >
+        <a
+          href="${pageUrl("/proposals", {
+            dao: dao.id,
+            rpc: rpcUrl,
+          })}"
+          class="view-button"
+          >All Proposals</a
+        >
+        <a
+          href="${pageUrl(`/delegate/${profile.address}/reasons`, {
+            dao: dao.id,
+            rpc: rpcUrl,
+          })}"
+          class="view-button"
+          >Search Reasons</a
+        >
+      </div>
+
+      <div class="stats-grid">
+        <div class="stats-section">
+          <h3>Voting Power</h3>
+          <p>Current: ${formatStatNumber(profile.currentVotingPower)}</p>
+        </div>
+        <div class="stats-section">
+          <h3>Participation</h3>
+          <p>
+            ${profile.participation.rate === null
+              ? "No eligible proposals"
+              : `${(profile.participation.rate * 100).toFixed(1)}% (${
+                  profile.participation.voted
+                } of ${profile.participation.eligible} proposals)`}
+          </p>
+        </div>
+      </div>
+
+      <h2>Voting History</h2>
+      <table class="votes-table">
+        <thead>
+          <tr>
+            <th>Proposal</th>
+            <th>Vote</th>
+            <th>Weight</th>
+            <th>Voting Power at Snapshot</th>
+            <th>Reason</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${profile.votes.map(
+            (p) => html`
+              <tr>
+                <td>${proposalLink(p)}</td>
+                <td>
+                  <span class="${voteClass(p.vote.vote)}">${p.vote.vote}</span>
+                </td>
+                <td class="voting-power">${formatNumber(p.vote.weight)}</td>
+                <td>${formatNumber(p.votingPower)}</td>
+                <td>${p.vote.reason}</td>
+              </tr>
+            `
+          )}
+        </tbody>
+      </table>
+
+      <h2>Skipped Proposals</h2>
+      <table class="votes-table">
+        <thead>
+          <tr>
+            <th>Proposal</th>
+            <th>State</th>
+            <th>Voting Power at Snapshot</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${profile.skipped.map(
+            (p) => html`
+              <tr>
+                <td>${proposalLink(p)}</td>
+                <td>
+                  <span class="proposal-state ${p.state.toLowerCase()}"
+                    >${p.state}</span
+                  >
+                </td>
+                <td>${formatNumber(p.votingPower)}</td>
+              </tr>
+            `
+          )}
+        </tbody>
+      </table>
+    `,
+  });
+}
+
+function formatChange(value, format = (v) => v) {
+  return `${value > 0 ? "+" : ""}${format(value)}`;
+}
+
+// Registry drift sections; every delegate must already carry its `identity`
+function renderDriftPage({ dao, proposalId, rpcUrl, snapshotBlock, report }) {
+  const powerTable = (delegates) => html`
+    <table class="votes-table">
+      <thead>
+        <tr>
+          <th>Delegate</th>
+          <th>Registry Power</th>
+          <th>Snapshot Power</th>
+          <th>Change</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${delegates.map(
+          (d) => html`
+            <tr>
+              <td>${formatDelegateName(d.identity, dao)}</td>
+              <td>${formatNumber(d.expectedVotingPower)}</td>
+              <td>${formatNumber(d.actualVotingPower)}</td>
+              <td
+                class="${d.votingPowerChange > 0 ? "vote-for" : "vote-against"}"
+              >
+                ${formatChange(d.votingPowerChange, formatStatNumber)}
+              </td>
+            </tr>
+          `
+        )}
+      </tbody>
+    </table>
+  `;
+
+  const section = (title, description, delegates, table) => html`
+    <h2>${title} (${delegates.length})</h2>
+    <p class="quorum-source">${description}</p>
+    ${delegates.length > 0 ? table(delegates) : html`<p>None</p>`}
+  `;
+
+  return renderPage({
+    title: `${dao.name} Snapshot Drift - Proposal ${proposalId}`,
+    body: html`
+      <div class="proposal-header">
+        <h1>Snapshot Drift</h1>
+        <span class="proposal-id">Proposal: ${proposalId}</span>
+        <a
+          href="${pageUrl("/", {
+            dao: dao.id,
+            proposal: proposalId,
+            rpc: rpcUrl,
+          })}"
+          class="view-button"
+          >Back to Votes</a
+        >
+      </div>
+
+      <p>
+        Voting power of the ${report.totalDelegates} delegates in
+        ${dao.delegatesFile}, compared with block ${snapshotBlock}. Changes
+        above ${formatStatNumber(report.thresholds.votingPower)} voting power or
+        ${report.thresholds.rank} ranks are listed.
+      </p>
+
+      ${section(
+        "Gained Power",
+        "Delegates holding more voting power than the registry records",
+        report.gained,
+        powerTable
+      )}
+      ${section(
+        "Lost Power",
+        "Delegates holding less voting power than the registry records",
+        report.lost,
+        powerTable
+      )}
+      ${section(
+        "Rank Movers",
+        "Delegates whose rank among the registry's delegates changed",
+        report.rankMovers,
+        (delegates) => html`
+          <table class="votes-table">
+            <thead>
+              <tr>
+                <th>Delegate</th>
+                <th>Registry Rank</th>
+                <th>Snapshot Rank</th>
+                <th>Change</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${delegates.map(
+                (d) => html`
+                  <tr>
+                    <td>${formatDelegateName(d.identity, dao)}</td>
+                    <td>${d.rank}</td>
+                    <td>${d.currentRank}</td>
+                    <td
+                      class="${d.rankChange > 0 ? "vote-for" : "vote-against"}"
+                    >
+                      ${formatChange(d.rankChange)}
+                    </td>
+                  </tr>
+                `
+              )}
+            </tbody>
+          </table>
+        `
+      )}
+      ${section(
+        "Dropped Out",
+        "Delegates in the registry with no voting power at the snapshot",
+        report.droppedOut,
+        (delegates) => html`
+          <table class="votes-table">
+            <thead>
+              <tr>
+                <th>Delegate</th>
+                <th>Registry Rank</th>
+                <th>Registry Power</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${delegates.map(
+                (d) => html`
+                  <tr>
+                    <td>${formatDelegateName(d.identity, dao)}</td>
+                    <td>${d.rank}</td>
+                    <td>${formatNumber(d.expectedVotingPower)}</td>
+                  </tr>
+                `
+              )}
+            </tbody>
+          </table>
+        `
+      )}
+    `,
+  });
+}
+
+const REASON_VIEWS = [
+  ["all", "All"],
+  ["for", "For"],
+  ["against", "Against"],
+  ["abstain", "Abstain"],
+];
+
+const REASON_SORTS = [
+  ["weight", "Weight"],
+  ["length", "Length"],
+];
+
+// GET form, so searches work without scripts and land in the URL
+function generateReasonFilters(action, params, filters) {
+  const option = (value, label, selected) =>
+    html`<option value="${value}" ${value === selected && "selected"}>
+      ${label}
+    </option>`;
+
+  return html`
+    <form class="reason-filters" method="get" action="${action}">
+      ${Object.entries(params)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(
+          ([name, value]) =>
+            html`<input type="hidden" name="${name}" value="${value}" />`
+        )}
+      <input
+        type="search"
+        name="q"
+        value="${filters.search}"
+        placeholder="Search reasons"
+        size="40"
+      />
+      <select name="vote">
+        ${REASON_VIEWS.map(([value, label]) =>
+          option(value, label, filters.voteFilter)
+        )}
+      </select>
+      <select name="sort">
+        ${REASON_SORTS.map(([value, label]) =>
+          option(value, `Sort by ${label}`, filters.sortBy)
+        )}
+      </select>
+      <select name="dir">
+        ${option("desc", "Descending", filters.sortDir)}
+        ${option("asc", "Ascending", filters.sortDir)}
+      </select>
+      <button type="submit">Search</button>
+    </form>
+  `;
+}
+
+// One card per reason; `heading` renders who (or which proposal) it belongs to
+function generateReasonList(reasons, total, heading) {
+  if (reasons.length === 0) {
+    return html`<p>
+      ${total === 0 ? "No reasons written yet" : "No reasons match the search"}
+    </p>`;
+  }
+
+  return html`
+    <p class="quorum-source">Showing ${reasons.length} of ${total} reasons</p>
+    <div class="reason-list">
+      ${reasons.map(
+        (reason) => html`
+          <article class="reason-item">
+            <div class="reason-meta">
+              ${heading(reason)}
+              <span class="${voteClass(reason.vote)}">${reason.vote}</span>
+              <span class="voting-power">${formatNumber(reason.weight)}</span>
+            </div>
+            <div class="reason-body">${renderMarkdown(reason.reason)}</div>
+          </article>
+        `
+      )}
+    </div>
+  `;
+}
+
+function renderReasonsPage({
+  dao,
+  proposalId,
+  rpcUrl,
+  reasons,
+  total,
+  filters,
+}) {
+  const pageParams = { dao: dao.id, proposal: proposalId, rpc: rpcUrl };
+
+  return renderPage({
+    title: `${dao.name} Vote Reasons - Proposal ${proposalId}`,
+    body: html`
+      <div class="proposal-header">
+        <h1>Vote Reasons</h1>
+        <span class="proposal-id">Proposal: ${proposalId}</span>
+        <a href="${pageUrl("/", pageParams)}" class="view-button"
+          >Back to Votes</a
+        >
+      </div>
+
+      ${generateReasonFilters("/reasons", pageParams, filters)}
+      ${generateReasonList(reasons, total, (vote) =>
+        formatDelegateName(voteIdentity(vote), dao)
+      )}
+    `,
+  });
+}
+
+function renderDelegateReasonsPage({
+  dao,
+  profile,
+  rpcUrl,
+  reasons,
+  total,
+  filters,
+}) {
+  const name = profile.ensName || profile.address;
+
+  return renderPage({
+    title: `${dao.name} Delegate Reasons - ${name}`,
+    body: html`
+      <div class="proposal-header">
+        <h1>Reasons by ${name}</h1>
+        <a
+          href="${pageUrl(`/delegate/${profile.address}`, {
+            dao: dao.id,
+            rpc: rpcUrl,
+          })}"
+          class="view-button"
+          >Back to Delegate</a
+        >
+      </div>
+
+      ${generateReasonFilters(
+        `/delegate/${profile.address}/reasons`,
+        { dao: dao.id, rpc: rpcUrl },
+        filters
+      )}
+      ${generateReasonList(
+        reasons,
+        total,
+        (reason) => html`<a
+          href="${pageUrl("/", {
+            dao: dao.id,
+            proposal: reason.proposalId,
+            rpc: rpcUrl,
+          })}"
+          >${reason.title}</a
+        >`
+      )}
+    `,
+  });
+}
+
+const COMPARE_SECTIONS = [
+  [
+    "changed",
+    "Changed Vote",
+    "Voted For in one proposal and Against in the other",
+  ],
+  ["abstained", "Abstained in One", "Abstained in one proposal only"],
+  ["onlyFirst", "Only Voted in First", "Did not vote on the second proposal"],
+  ["onlySecond", "Only Voted in Second", "Did not vote on the first proposal"],
+];
+
+function generateCompareCells(vote) {
+  if (!vote) {
+    return html`<td colspan="3" class="quorum-source">Did not vote</td>`;
+  }
+  return html`
+    <td><span class="${voteClass(vote.vote)}">${vote.vote}</span></td>
+    <td class="voting-power">${formatNumber(vote.weight)}</td>
+    <td class="reason-body">${renderMarkdown(vote.reason)}</td>
+  `;
+}
+
+// Turnout of both proposals and the change from the first to the second
+function generateTurnoutGrid(turnout) {
+  const column = (title, { voters, weight }, signed = false) => {
+    const show = (value, format) =>
+      signed ? formatChange(value, format) : format(value);
+    return html`
+      <div class="stats-section">
+        <h3>${title}</h3>
+        <p>Voters: ${show(voters, (v) => v.toLocaleString())}</p>
+        <p>Weight: ${show(weight, formatStatNumber)}</p>
+      </div>
+    `;
+  };
+
+  return html`
+    <div class="stats-grid">
+      ${column("First Proposal", turnout.first)}
+      ${column("Second Proposal", turnout.second)}
+      ${column("Change", turnout.change, true)}
+    </div>
+  `;
+}
+
+function renderComparePage({ dao, proposalId, otherId, rpcUrl, comparison }) {
+  const proposalLink = (id) =>
+    html`<a href="${pageUrl("/", { dao: dao.id, proposal: id, rpc: rpcUrl })}"
+      >${id}</a
+    >`;
+
+  return renderPage({
+    title: `${dao.name} Proposal Comparison - ${proposalId}`,
+    body: html`
+      <div class="proposal-header">
+        <h1>Compare Proposals</h1>
+        <a
+          href="${pageUrl("/", {
+            dao: dao.id,
+            proposal: proposalId,
+            rpc: rpcUrl,
+          })}"
+          class="view-button"
+          >Back to Votes</a
+        >
+      </div>
+
+      <form class="reason-filters" method="get" action="/compare">
+        <input type="hidden" name="dao" value="${dao.id}" />
+        <input type="hidden" name="rpc" value="${rpcUrl}" />
+        <input
+          type="text"
+          name="proposal"
+          value="${proposalId}"
+          placeholder="First proposal ID"
+          size="40"
+        />
+        <input
+          type="text"
+          name="other"
+          value="${otherId}"
+          placeholder="Second proposal ID"
+          size="40"
+        />
+        <button type="submit">Compare</button>
+      </form>
+
+      ${comparison &&
+      html`
+        <p class="proposal-id">First: ${proposalLink(proposalId)}</p>
+        <p class="proposal-id">Second: ${proposalLink(otherId)}</p>
+
+        <div class="stats">
+          <h2>Turnout</h2>
+          ${generateTurnoutGrid(comparison.turnout)}
+        </div>
+
+        ${COMPARE_SECTIONS.map(
+          ([group, title, description]) => html`
+            <h2>${title} (${comparison[group].length})</h2>
+            <p class="quorum-source">${description}</p>
+            ${comparison[group].length > 0
+              ? html`
+                  <table class="votes-table">
+                    <thead>
+                      <tr>
+                        <th rowspan="2">Delegate</th>
+                        <th colspan="3">First Proposal</th>
+                        <th colspan="3">Second Proposal</th>
+                      </tr>
+                      <tr>
+                        <th>Vote</th>
+                        <th>Weight</th>
+                        <th>Reason</th>
+                        <th>Vote</th>
+                        <th>Weight</th>
+                        <th>Reason</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      ${comparison[group].map(
+                        (entry) => html`
+                          <tr>
+                            <td>
+                              ${formatDelegateName(
+                                voteIdentity(entry.second || entry.first),
+                                dao
+                              )}
+                            </td>
+                            ${generateCompareCells(entry.first)}
+                            ${generateCompareCells(entry.second)}
+                          </tr>
+                        `
+                      )}
+                    </tbody>
+                  </table>
+                `
+              : html`<p>None</p>`}
+          `
+        )}
+      `}
+    `,
+  });
+}
+
+module.exports = {
+  SafeHtml,
+  escapeHtml,
+  html,
+  pageUrl,
+  formatNumber,
+  formatStatNumber,
+  renderPage,
+  renderError,
+  formatAddressLink,
+  formatDelegateName,
+  generateVoteRow,
+  generateDelegatorsRow,
+  generateStatsGrid,
+  generateTimelineChart,
+  generateNotVotedTable,
+  generateProjectionPanel,
+  renderProposalPage,
+  renderProposalsPage,
+  renderDelegatePage,
+  renderDriftPage,
+  renderMarkdown,
+  renderReasonsPage,
+  renderDelegateReasonsPage,
+  renderComparePage,
+};
@@ -0,0 +1,183 @@
+// Runs alert rules against hand-built vote data and a local webhook receiver
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), "ens-vote-tracker-"));
+process.env.CACHE_DIR = cacheDir;
+process.env.ALERTS_FILE = path.join(cacheDir, "alerts.json");
+process.env.DAOS_FILE = path.join(cacheDir, "daos.json");
+
+const { getDAO, checkAlerts } = require("../index");
+
+const ALICE = "0x5BFCB4BE4d7B43437d5A0c57E908c048a4418390";
+const BOB = "0x89EdE5cBE53473A64d6C8DF14176a0d658dAAeDC";
+
+let dao;
+let server;
+let webhookUrl;
+// Status codes to answer with, in order; 200 once they run out
+let responses = [];
+let received = [];
+let waiting = [];
+
+test.before(async () => {
+  dao = await getDAO();
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      received.push({ time: Date.now(), payload: JSON.parse(body) });
+      res.writeHead(responses.shift() || 200);
+      res.end();
+      waiting = waiting.filter((waiter) => !waiter());
+    });
+  });
+  server.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  webhookUrl = `http://127.0.0.1:${server.address().port}/hook`;
+});
+
+test.beforeEach(() => {
+  responses = [];
+  received = [];
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(cacheDir, { recursive: true, force: true });
+});
+
+// Resolves once the receiver has seen `count` requests
+function receivedCount(count) {
+  return new Promise((resolve) => {
+    const waiter = () => received.length >= count && (resolve(), true);
+    if (!waiter()) waiting.push(waiter);
+  });
+}
+
+// Deliveries run in the background, so give stray ones time to arrive
+const settle = () => new Promise((resolve) => setTimeout(resolve, 200));
+
+function writeRules(rules, retries = 0) {
+  fs.writeFileSync(
+    process.env.ALERTS_FILE,
+    JSON.stringify({ webhooks: [webhookUrl], retries, rules })
+  );
+}
+
+function vote(voter, support, weight, index) {
+  return {
+    voter,
+    ensName: null,
+    vote: support,
+    weight: String(weight),
+    reason: `reason ${index}`,
+    blockNumber: 100 + index,
+    transactionHash: `0x${index.toString(16).padStart(64, "0")}`,
+    logIndex: 0,
+  };
+}
+
+function votingData(votes) {
+  return {
+    votes,
+    delegateSnapshot: [
+      { address: ALICE, currentRank: 1 },
+      { address: BOB, currentRank: 20 },
+    ],
+    snapshotBlock: 50,
+    quorum: { votes: 1000, block: 50, source: "governor" },
+  };
+}
+
+test("the first check only records a baseline", async () => {
+  writeRules([{ name: "watched", type: "address-voted", addresses: [ALICE] }]);
+
+  await checkAlerts(dao, "1", votingData([vote(ALICE, "For", 10, 1)]));
+  await settle();
+  assert.strictEqual(received.length, 0);
+
+  await checkAlerts(
+    dao,
+    "1",
+    votingData([vote(ALICE, "For", 10, 1), vote(ALICE, "Against", 5, 2)])
+  );
+  await receivedCount(1);
+  await settle();
+  assert.strictEqual(received.length, 1);
+  assert.strictEqual(received[0].payload.fields.blockNumber, 102);
+});
+
+test("rules match votes, quorum and lead flips, each sent once", async () => {
+  writeRules([
+    {
+      name: "whales",
+      type: "top-delegate-voted",
+      top: 10,
+      message: "#{{rank}} {{name}} voted {{vote}}",
+    },
+    { name: "quorum", type: "quorum-reached" },
+    {
+      name: "flip",
+      type: "lead-flip",
+      message: "{{leader}} leads, {{previousLeader}} did",
+    },
+    { name: "elsewhere", type: "address-voted", addresses: [BOB], dao: "x" },
+  ]);
+
+  const before = [vote(BOB, "Against", 600, 1)];
+  await checkAlerts(dao, "2", votingData(before));
+
+  const after = [...before, vote(ALICE, "For", 1200, 2)];
+  await checkAlerts(dao, "2", votingData(after));
+  await receivedCount(3);
+
+  const messages = received.map((r) => r.payload.message).sort();
+  assert.deepStrictEqual(messages, [
+    `#1 ${ALICE} voted For`,
+    "For leads, Against did",
+    "quorum triggered on proposal 2",
+  ]);
+
+  // The same data again sends nothing new
+  await checkAlerts(dao, "2", votingData(after));
+  await settle();
+  assert.strictEqual(received.length, 3);
+});
+
+test("failed deliveries are retried with backoff", async () => {
+  writeRules(
+    [{ name: "watched", type: "address-voted", addresses: [ALICE] }],
+    2
+  );
+  responses = [500, 503];
+
+  await checkAlerts(dao, "3", votingData([]));
+  await checkAlerts(dao, "3", votingData([vote(ALICE, "For", 10, 1)]));
+  await receivedCount(3);
+
+  const gaps = received.slice(1).map((r, i) => r.time - received[i].time);
+  assert.ok(gaps[0] >= 900, `first retry after ${gaps[0]}ms`);
+  assert.ok(gaps[1] >= 1900, `second retry after ${gaps[1]}ms`);
+  await settle();
+  assert.strictEqual(received.length, 3);
+});
+
+test("concurrent checks of one proposal send an alert once", async () => {
+  writeRules([{ name: "watched", type: "address-voted", addresses: [ALICE] }]);
+
+  await checkAlerts(dao, "4", votingData([]));
+  const data = votingData([vote(ALICE, "For", 10, 1)]);
+  await Promise.all([
+    checkAlerts(dao, "4", data),
+    checkAlerts(dao, "4", data),
+    checkAlerts(dao, "4", data),
+  ]);
+  await receivedCount(1);
+  await settle();
+  assert.strictEqual(received.length, 1);
+});
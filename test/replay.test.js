@@ -0,0 +1,448 @@
+// Runs the data pipeline and dashboard against recorded JSON-RPC responses.
+// The shipped fixture is synthetic; set RPC_FIXTURE to run against a recording
+// of a real node, made with: RPC_MODE=record RPC_URL=<archive node> npm test
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), "ens-vote-tracker-"));
+process.env.RPC_MODE = process.env.RPC_MODE || "replay";
+process.env.RPC_FIXTURE =
+  process.env.RPC_FIXTURE ||
+  path.join(__dirname, "fixtures", "rpc-synthetic-proposal.json");
+process.env.CACHE_DIR = cacheDir;
+// Keep local alert rules and DAO profiles out of the run
+process.env.ALERTS_FILE = path.join(cacheDir, "alerts.json");
+process.env.DAOS_FILE = path.join(cacheDir, "daos.json");
+process.env.ADMIN_TOKEN = "test-token";
+
+const {
+  app,
+  DEFAULT_PROPOSAL_ID,
+  getDAO,
+  ensureCacheDir,
+  getVotingData,
+  calculateVoteStats,
+  calculateVoteTimeline,
+  calculateDriftReport,
+  compareProposals,
+  decodeVoteEvent,
+  getSnapshotDelegators,
+  createProvider,
+  toCSV,
+} = require("../index");
+
+let dao;
+let server;
+let baseUrl;
+
+test.before(async () => {
+  await ensureCacheDir();
+  dao = await getDAO();
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(cacheDir, { recursive: true, force: true });
+});
+
+function sum(votes, vote) {
+  return votes
+    .filter((v) => !vote || v.vote === vote)
+    .reduce((total, v) => total + parseFloat(v.weight), 0);
+}
+
+test("getVotingData loads votes, snapshot and quorum from the fixture", async () => {
+  const data = await getVotingData(dao, DEFAULT_PROPOSAL_ID, undefined, {
+    refresh: true,
+  });
+
+  assert.ok(data.snapshotBlock > 0);
+  assert.strictEqual(data.quorum.source, "governor");
+  assert.strictEqual(data.quorum.block, data.snapshotBlock);
+  assert.deepStrictEqual(data.scanStatus.gaps, []);
+  assert.ok(data.votes.length > 0);
+  data.votes.forEach((vote) => {
+    assert.match(vote.voter, /^0x[0-9a-fA-F]{40}$/);
+    assert.ok(["For", "Against", "Abstain"].includes(vote.vote));
+    assert.ok(parseFloat(vote.weight) > 0);
+    assert.ok(vote.blockNumber >= data.snapshotBlock);
+  });
+});
+
+test("delegate snapshot ranks delegates by power at the snapshot block", async () => {
+  const { delegateSnapshot } = await getVotingData(dao, DEFAULT_PROPOSAL_ID);
+
+  assert.ok(delegateSnapshot.length > 0);
+  delegateSnapshot.forEach((delegate, index) => {
+    assert.strictEqual(delegate.currentRank, index + 1);
+    if (index > 0) {
+      assert.ok(
+        delegateSnapshot[index - 1].actualVotingPower >=
+          delegate.actualVotingPower
+      );
+    }
+  });
+
+  const drift = calculateDriftReport(delegateSnapshot);
+  assert.strictEqual(drift.totalDelegates, delegateSnapshot.length);
+  drift.gained.forEach((delegate) => {
+    assert.ok(delegate.votingPowerChange > drift.thresholds.votingPower);
+  });
+  drift.lost.forEach((delegate) => {
+    assert.ok(delegate.votingPowerChange < -drift.thresholds.votingPower);
+  });
+});
+
+test("calculateVoteStats totals the recorded votes", async () => {
+  const data = await getVotingData(dao, DEFAULT_PROPOSAL_ID);
+  const stats = calculateVoteStats(data);
+
+  assert.strictEqual(stats.totalVotes, data.votes.length);
+  assert.strictEqual(stats.forVotes, sum(data.votes, "For"));
+  assert.strictEqual(stats.againstVotes, sum(data.votes, "Against"));
+  assert.strictEqual(stats.abstainVotes, sum(data.votes, "Abstain"));
+  assert.strictEqual(stats.quorumVotes, stats.forVotes + stats.abstainVotes);
+  assert.strictEqual(
+    stats.hasReachedQuorum,
+    stats.quorumVotes >= stats.requiredQuorum
+  );
+
+  const timeline = calculateVoteTimeline(data);
+  const last = timeline.points[timeline.points.length - 1];
+  assert.strictEqual(last.forVotes, stats.forVotes);
+  assert.strictEqual(last.quorumVotes, stats.quorumVotes);
+});
+
+test("VoteCastWithParams logs decode with their params and count with VoteCast", async () => {
+  // The ENS governor never emits VoteCastWithParams, so these logs are made up
+  const governor = new ethers.Interface([
+    "event VoteCast(address indexed voter, uint256 proposalId, uint8 support, uint256 weight, string reason)",
+    "event VoteCastWithParams(address indexed voter, uint256 proposalId, uint8 support, uint256 weight, string reason, bytes params)",
+  ]);
+  const voters = [ethers.Wallet.createRandom(), ethers.Wallet.createRandom()];
+  const log = (name, args, index) => ({
+    ...governor.encodeEventLog(name, args),
+    blockNumber: 1,
+    transactionHash: ethers.zeroPadValue(ethers.toBeHex(index + 1), 32),
+    index,
+  });
+  const governorContract = {
+    interface: governor,
+    runner: {
+      getBlock: async () => ({ timestamp: 1700000000 }),
+      lookupAddress: async () => null,
+    },
+    getVotes: async () => ethers.parseUnits("300", 18),
+  };
+
+  const votes = await Promise.all(
+    [
+      log(
+        "VoteCast",
+        [voters[0].address, 1, 1, ethers.parseUnits("100", 18), ""],
+        0
+      ),
+      log(
+        "VoteCastWithParams",
+        [
+          voters[1].address,
+          1,
+          0,
+          ethers.parseUnits("200", 18),
+          "why",
+          "0x1234",
+        ],
+        1
+      ),
+    ].map((event) => decodeVoteEvent(event, governorContract, 1n))
+  );
+  assert.deepStrictEqual(
+    votes.map((vote) => [vote.vote, vote.weight, vote.reason, vote.params]),
+    [
+      ["For", "100.0", "", null],
+      ["Against", "200.0", "why", "0x1234"],
+    ]
+  );
+
+  const stats = calculateVoteStats({ votes, snapshotBlock: 1 });
+  assert.strictEqual(stats.totalVotes, 2);
+  assert.strictEqual(stats.forVotes, 100);
+  assert.strictEqual(stats.againstVotes, 200);
+});
+
+test("delegators of the largest voter add up against getPastVotes", async () => {
+  const data = await getVotingData(dao, DEFAULT_PROPOSAL_ID);
+  const [top] = [...data.votes].sort(
+    (a, b) => parseFloat(b.weight) - parseFloat(a.weight)
+  );
+  const backing = await getSnapshotDelegators(
+    dao,
+    DEFAULT_PROPOSAL_ID,
+    top.voter
+  );
+
+  assert.strictEqual(backing.snapshotBlock, data.snapshotBlock);
+  assert.strictEqual(backing.complete, true);
+  const total = backing.delegators.reduce((sum, d) => sum + d.balance, 0);
+  assert.ok(Math.abs(backing.delegatedTotal - total) < 1e-6);
+  assert.ok(
+    Math.abs(backing.pastVotes - backing.delegatedTotal - backing.unexplained) <
+      1e-6
+  );
+  assert.strictEqual(backing.matches, backing.unexplained === 0);
+  backing.delegators.forEach((delegator, index) => {
+    assert.ok(delegator.balance > 0);
+    if (index > 0) {
+      assert.ok(backing.delegators[index - 1].balance >= delegator.balance);
+    }
+  });
+
+  // The second lookup is served from the store
+  assert.deepStrictEqual(
+    await getSnapshotDelegators(dao, DEFAULT_PROPOSAL_ID, top.voter),
+    backing
+  );
+});
+
+test("vote table search, weight range, sorting and paging follow the URL", async () => {
+  const votesUrl = (params) =>
+    `${baseUrl}/api/proposals/${DEFAULT_PROPOSAL_ID}/votes?${new URLSearchParams(
+      params
+    )}`;
+  const get = async (params) => (await fetch(votesUrl(params))).json();
+
+  const all = await get({ sort: "weight", dir: "asc" });
+  const weights = all.map((vote) => parseFloat(vote.weight));
+  assert.deepStrictEqual(
+    weights,
+    [...weights].sort((a, b) => a - b)
+  );
+
+  const median = weights[Math.floor(weights.length / 2)];
+  const heavy = await get({ sort: "weight", dir: "asc", min: median });
+  assert.deepStrictEqual(
+    heavy,
+    all.filter((vote) => parseFloat(vote.weight) >= median)
+  );
+
+  const [firstPage, secondPage] = await Promise.all([
+    get({ sort: "weight", dir: "asc", limit: 2, page: 1 }),
+    get({ sort: "weight", dir: "asc", limit: 2, page: 2 }),
+  ]);
+  assert.deepStrictEqual([...firstPage, ...secondPage], all.slice(0, 4));
+
+  const voter = all[0].voter;
+  const found = await get({ q: voter.slice(2, 12).toUpperCase() });
+  assert.ok(found.some((vote) => vote.voter === voter));
+  found.forEach((vote) =>
+    assert.ok(
+      vote.voter.toLowerCase().includes(voter.slice(2, 12).toLowerCase())
+    )
+  );
+
+  const byVoter = await get({ view: "notvoted", sort: "voter", dir: "asc" });
+  const names = byVoter.map((d) => (d.ensName || d.address).toLowerCase());
+  assert.deepStrictEqual(
+    names,
+    [...names].sort((a, b) => a.localeCompare(b))
+  );
+
+  const page = await (
+    await fetch(`${baseUrl}/?limit=2&page=2&sort=vote`)
+  ).text();
+  assert.ok(
+    page
+      .replace(/\s+/g, " ")
+      .includes(`of ${all.length}, page 2 of ${Math.ceil(all.length / 2)}`)
+  );
+});
+
+test("comparing proposals groups flipped, abstaining and one-sided voters", async () => {
+  const data = await getVotingData(dao, DEFAULT_PROPOSAL_ID);
+  const [flipped, abstained, dropped] = data.votes.filter(
+    (vote) => vote.vote !== "Abstain"
+  );
+  const flip = { For: "Against", Against: "For" };
+  const second = {
+    ...data,
+    votes: data.votes
+      .filter((vote) => vote !== dropped)
+      .map((vote) => {
+        if (vote === flipped) return { ...vote, vote: flip[vote.vote] };
+        if (vote === abstained) return { ...vote, vote: "Abstain" };
+        return vote;
+      }),
+  };
+
+  const comparison = compareProposals(data, second);
+  assert.deepStrictEqual(
+    comparison.changed.map((entry) => entry.voter),
+    [flipped.voter]
+  );
+  assert.strictEqual(comparison.abstained[0].second.vote, "Abstain");
+  assert.strictEqual(comparison.onlyFirst[0].second, null);
+  assert.deepStrictEqual(comparison.onlySecond, []);
+  assert.strictEqual(comparison.turnout.change.voters, -1);
+  assert.strictEqual(
+    comparison.turnout.change.weight,
+    sum(second.votes) - sum(data.votes)
+  );
+
+  const url = `${baseUrl}/api/proposals/${DEFAULT_PROPOSAL_ID}/compare`;
+  const same = await (await fetch(`${url}/${DEFAULT_PROPOSAL_ID}`)).json();
+  assert.deepStrictEqual(same.changed, []);
+  assert.deepStrictEqual(same.turnout.change, { voters: 0, weight: 0 });
+  assert.strictEqual((await fetch(`${url}/nope`)).status, 400);
+
+  const page = await fetch(
+    `${baseUrl}/compare?proposal=${DEFAULT_PROPOSAL_ID}&other=${DEFAULT_PROPOSAL_ID}`
+  );
+  assert.strictEqual(page.status, 200);
+  assert.ok((await page.text()).includes("Changed Vote (0)"));
+});
+
+test("providers for client-supplied RPC URLs are bounded", () => {
+  const configured = createProvider();
+  const first = createProvider("http://127.0.0.1:1/0");
+  assert.strictEqual(createProvider("http://127.0.0.1:1/0"), first);
+
+  for (let i = 1; i <= 25; i++) {
+    createProvider(`http://127.0.0.1:1/${i}`);
+  }
+  assert.notStrictEqual(createProvider("http://127.0.0.1:1/0"), first);
+  assert.strictEqual(createProvider(), configured);
+});
+
+test(
+  "unrecorded requests fail instead of reaching the network",
+  {
+    skip: process.env.RPC_MODE === "record",
+  },
+  async () => {
+    await assert.rejects(getVotingData(dao, "1", undefined, { refresh: true }));
+  }
+);
+
+test("dashboard and API render offline", async () => {
+  const page = await fetch(`${baseUrl}/`);
+  assert.strictEqual(page.status, 200);
+  const body = await page.text();
+  assert.ok(body.includes(`Proposal ${DEFAULT_PROPOSAL_ID}`));
+  assert.ok(body.includes("votes-table"));
+
+  const api = await fetch(`${baseUrl}/api/proposals/${DEFAULT_PROPOSAL_ID}`);
+  assert.strictEqual(api.status, 200);
+  const summary = await api.json();
+  const data = await getVotingData(dao, DEFAULT_PROPOSAL_ID);
+  assert.strictEqual(summary.snapshotBlock, data.snapshotBlock);
+  assert.strictEqual(summary.stats.totalVotes, data.votes.length);
+});
+
+test("proposal list and voter profiles render offline", async () => {
+  const list = await fetch(`${baseUrl}/api/proposals`);
+  assert.strictEqual(list.status, 200);
+  const proposals = await list.json();
+  assert.ok(proposals.some((p) => p.proposalId === DEFAULT_PROPOSAL_ID));
+
+  const page = await fetch(`${baseUrl}/proposals`);
+  assert.strictEqual(page.status, 200);
+
+  const data = await getVotingData(dao, DEFAULT_PROPOSAL_ID);
+  for (const vote of data.votes) {
+    const api = await fetch(`${baseUrl}/api/delegates/${vote.voter}`);
+    assert.strictEqual(api.status, 200);
+    const profile = await api.json();
+    assert.strictEqual(profile.address, ethers.getAddress(vote.voter));
+    assert.ok(
+      profile.votes.some(
+        (v) => v.proposalId === DEFAULT_PROPOSAL_ID && v.vote.vote === vote.vote
+      )
+    );
+
+    const profilePage = await fetch(`${baseUrl}/delegate/${vote.voter}`);
+    assert.strictEqual(profilePage.status, 200);
+  }
+});
+
+test("CSV export keeps formula-like reasons and names as text", () => {
+  const csv = toCSV(
+    [
+      { reason: '=HYPERLINK("http://evil.example","x")', name: "@evil.eth" },
+      { reason: "+1", name: "-2" },
+      { reason: "fine, thanks", name: "alice.eth" },
+      { reason: "", name: -500 },
+    ],
+    [
+      ["reason", "Reason"],
+      ["name", "Name"],
+    ]
+  );
+  assert.deepStrictEqual(csv.split("\r\n"), [
+    "Reason,Name",
+    `"'=HYPERLINK(""http://evil.example"",""x"")","'@evil.eth"`,
+    `"'+1","'-2"`,
+    '"fine, thanks",alice.eth',
+    ",-500",
+  ]);
+});
+
+test("invalid parameters are the caller's fault on every route", async () => {
+  for (const route of [
+    "/?proposal=abc",
+    "/reasons?proposal=abc",
+    "/compare?other=abc",
+    "/export?proposal=abc",
+    "/api/proposals?dao=nope",
+    "/api/delegates/0x0000000000000000000000000000000000000001?dao=nope",
+  ]) {
+    const response = await fetch(`${baseUrl}${route}`);
+    assert.strictEqual(response.status, 400, route);
+  }
+});
+
+test("the live feed ends at once for a closed proposal", async () => {
+  const response = await fetch(
+    `${baseUrl}/events?proposal=${DEFAULT_PROPOSAL_ID}&since=${Number.MAX_SAFE_INTEGER}`
+  );
+  assert.strictEqual(
+    response.headers.get("content-type"),
+    "text/event-stream; charset=utf-8"
+  );
+  // The stream ends instead of polling a proposal that can't change
+  assert.strictEqual(await response.text(), "event: closed\ndata: {}\n\n");
+});
+
+test("admin cache endpoints require the token and evict proposals", async () => {
+  const url = `${baseUrl}/admin/cache/${DEFAULT_PROPOSAL_ID}`;
+  const auth = { Authorization: "Bearer test-token" };
+  assert.strictEqual((await fetch(url)).status, 401);
+  assert.strictEqual(
+    (await fetch(url, { headers: { Authorization: "Bearer wrong" } })).status,
+    401
+  );
+
+  const data = await getVotingData(dao, DEFAULT_PROPOSAL_ID);
+  const entry = await (await fetch(url, { headers: auth })).json();
+  assert.strictEqual(entry.votes, data.votes.length);
+  assert.strictEqual(entry.snapshotDelegates, data.delegateSnapshot.length);
+  // The recording ends after voting closed, so the entry never expires
+  assert.strictEqual(entry.lifecycle, "closed");
+  assert.strictEqual(entry.expiresAt, null);
+
+  const evicted = await fetch(url, { method: "DELETE", headers: auth });
+  assert.strictEqual(evicted.status, 200);
+  assert.strictEqual((await fetch(url, { headers: auth })).status, 404);
+
+  // The next load scans the proposal again, keeping the stored snapshot
+  const reloaded = await getVotingData(dao, DEFAULT_PROPOSAL_ID);
+  assert.strictEqual(reloaded.votes.length, data.votes.length);
+  assert.deepStrictEqual(reloaded.delegateSnapshot, data.delegateSnapshot);
+  assert.strictEqual((await fetch(url, { headers: auth })).status, 200);
+});
@@ -0,0 +1,62 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { escapeMarkdown, formatProposalReport } = require("../report");
+const fixture = require("./fixtures/malicious-votes.json");
+
+const report = {
+  dao: { id: "ens", name: "ENS DAO" },
+  proposalId: "1234567890", // validated as a number before reporting
+  title: "[EP 1] <script>alert('title')</script>",
+  state: "Active",
+  snapshotBlock: 21723990,
+  scanStatus: { gaps: [] },
+  stats: {
+    totalWeight: 1792.5,
+    forCount: 1,
+    forVotes: 1500,
+    againstCount: 1,
+    againstVotes: 250.5,
+    abstainCount: 1,
+    abstainVotes: 42,
+    requiredQuorum: 1000000,
+    quorumVotes: 1542,
+    hasReachedQuorum: false,
+    votesNeededForQuorum: 998458,
+  },
+  topFor: fixture.votes.filter((vote) => vote.vote === "For"),
+  topAgainst: [],
+  nonVoters: [],
+  reasons: fixture.votes,
+};
+
+test("escapeMarkdown neutralizes links, emphasis and HTML", () => {
+  assert.strictEqual(
+    escapeMarkdown("[a](b) *c* _d_ <e> `f` |"),
+    "\\[a\\](b) \\*c\\* \\_d\\_ \\<e\\> \\`f\\` \\|"
+  );
+});
+
+test("Markdown report escapes names and quotes reasons without raw HTML", () => {
+  const output = formatProposalReport(report, "md");
+  assert.ok(output.startsWith("# ENS DAO: \\[EP 1\\] \\<script\\>"));
+  // Markdown shows "\<" as a literal "<"
+  assert.doesNotMatch(output, /(^|[^\\])<(script|img|iframe)/m);
+  assert.ok(output.includes("| For | 1 | 1,500.00 (1.5K) | 83.68% |"));
+  assert.ok(output.includes("Not reached:"));
+  fixture.votes.forEach((vote) => {
+    vote.reason
+      .trim()
+      .split("\n")
+      .forEach((line) => {
+        assert.ok(output.includes(`> ${line.replace(/</g, "&lt;")}`.trimEnd()));
+      });
+  });
+});
+
+test("text report lists sections without Markdown syntax", () => {
+  const output = formatProposalReport(report, "text");
+  assert.ok(output.includes("TOTALS\n\nVote     Voters"));
+  assert.ok(output.includes("TOP AGAINST VOTERS\n\nNone yet."));
+  assert.ok(!output.includes("| ---"));
+  assert.throws(() => formatProposalReport(report, "pdf"), /Unknown report/);
+});
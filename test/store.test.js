@@ -0,0 +1,208 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { openStore, importJSONCache } = require("../store");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ens-vote-tracker-store-"));
+const store = openStore(path.join(dir, "tracker.db"));
+
+test.after(() => {
+  store.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const ALICE = "0x5BFCB4BE4d7B43437d5A0c57E908c048a4418390";
+const BOB = "0x89EdE5cBE53473A64d6C8DF14176a0d658dAAeDC";
+
+function voteEvent(overrides) {
+  return {
+    proposalId: "1",
+    voter: ALICE,
+    vote: "For",
+    weight: "100.0",
+    reason: "",
+    blockNumber: 10,
+    transactionHash: "0xaa",
+    logIndex: 0,
+    ...overrides,
+  };
+}
+
+test("governor-wide vote events feed history and the leaderboard", () => {
+  store.saveVoteEvents("ens", [
+    voteEvent({}),
+    voteEvent({ proposalId: "2", reason: "why", transactionHash: "0xbb" }),
+    voteEvent({ voter: BOB, vote: "Against", transactionHash: "0xcc" }),
+  ]);
+  // Re-indexing the same logs is harmless
+  store.saveVoteEvents("ens", [voteEvent({})]);
+  store.saveENSName(ALICE, { name: "alice.eth", avatar: null }, Date.now());
+
+  assert.deepStrictEqual(store.getVoteHistory("ens"), {
+    [ALICE.toLowerCase()]: { 1: "For", 2: "For" },
+    [BOB.toLowerCase()]: { 1: "Against" },
+  });
+  assert.strictEqual(store.getVoterVotes("ens", ALICE).length, 2);
+  assert.deepStrictEqual(store.getLeaderboard("ens", 1), [
+    {
+      voter: ALICE,
+      ensName: "alice.eth",
+      proposalsVoted: 2,
+      totalWeight: 200,
+      reasonsGiven: 1,
+    },
+  ]);
+  assert.deepStrictEqual(store.getVoteHistory("other"), {});
+
+  // Partial rows are not proposal votes until the proposal scan fills them in
+  assert.deepStrictEqual(store.getProposalVotes("ens", "1"), []);
+  store.saveVotes("ens", "1", [
+    voteEvent({ votingPower: "100.0", isoTimestamp: "2025-01-01T00:00:00Z" }),
+  ]);
+  const [vote] = store.getProposalVotes("ens", "1");
+  assert.strictEqual(vote.ensName, "alice.eth");
+  assert.strictEqual(vote.votingPower, "100.0");
+});
+
+test("scan progress keeps its gaps and refresh time", () => {
+  store.saveScanProgress("ens", "1", {
+    lastScannedBlock: 42,
+    gaps: [{ fromBlock: 1, toBlock: 2 }],
+  });
+  store.markRefreshed("ens", "1", 1000);
+  assert.deepStrictEqual(store.getScanProgress("ens", "1"), {
+    lastScannedBlock: 42,
+    gaps: [{ fromBlock: 1, toBlock: 2 }],
+    refreshedAt: 1000,
+  });
+  assert.strictEqual(store.getScanProgress("ens", "2"), null);
+});
+
+test("evicting a proposal drops its alert state and the DAO's profiles", () => {
+  store.saveProposalBlocks("evict", "3", 10, 20);
+  store.saveScanProgress("evict", "3", { lastScannedBlock: 15 });
+  store.saveAlertState("evict", "3", { sent: {}, leader: "Against" });
+  store.saveAlertState("evict", "4", { sent: {}, leader: "For" });
+  store.saveDelegateProfile("evict", ALICE, { address: ALICE }, 7);
+
+  assert.deepStrictEqual(store.getAlertState("evict", "3"), {
+    sent: {},
+    leader: "Against",
+  });
+  // Addresses are matched whatever their case
+  assert.strictEqual(
+    store.getDelegateProfile("evict", ALICE.toLowerCase()).builtAt,
+    7
+  );
+  assert.strictEqual(store.getCacheEntries("evict", "3")[0].alertState, true);
+  assert.strictEqual(store.countDelegateProfiles("evict"), 1);
+
+  store.evictProposal("evict", "3");
+  assert.strictEqual(store.getAlertState("evict", "3"), null);
+  assert.strictEqual(store.getAlertState("evict", "4").leader, "For");
+  assert.strictEqual(store.getDelegateProfile("evict", ALICE), null);
+  assert.strictEqual(store.countDelegateProfiles("evict"), 0);
+});
+
+test("importJSONCache moves earlier JSON caches into the store", async () => {
+  const cacheDir = path.join(dir, "cache");
+  fs.mkdirSync(path.join(cacheDir, "other"), { recursive: true });
+  fs.writeFileSync(
+    path.join(cacheDir, "ens-names.json"),
+    JSON.stringify({
+      [BOB.toLowerCase()]: { name: "bob.eth", avatar: null, resolvedAt: 5 },
+    })
+  );
+  fs.writeFileSync(
+    path.join(cacheDir, "quorum-7.json"),
+    JSON.stringify({ votes: 1000, block: 9, source: "governor" })
+  );
+  fs.writeFileSync(
+    path.join(cacheDir, "other", "proposals.json"),
+    JSON.stringify({
+      timestamp: 0,
+      data: [{ proposalId: "7", title: "T", startBlock: 9, state: "Active" }],
+    })
+  );
+  fs.writeFileSync(
+    path.join(cacheDir, "other", "alerts-7.json"),
+    JSON.stringify({ sent: { whales: ["0xaa"] }, leader: "For" })
+  );
+  fs.writeFileSync(
+    path.join(cacheDir, "other", `delegate-${ALICE}.json`),
+    JSON.stringify({ timestamp: 6, data: { address: ALICE } })
+  );
+  fs.writeFileSync(path.join(cacheDir, "other", "notes.txt"), "kept");
+
+  assert.strictEqual(await importJSONCache(store, cacheDir, "ens"), 5);
+  assert.deepStrictEqual(store.getENSName(BOB), {
+    name: "bob.eth",
+    avatar: null,
+    resolvedAt: 5,
+  });
+  assert.deepStrictEqual(store.getProposalDetails("ens", "7").quorum, {
+    votes: 1000,
+    block: 9,
+    source: "governor",
+  });
+  assert.strictEqual(store.getProposals("other")[0].title, "T");
+  assert.deepStrictEqual(store.getAlertState("other", "7"), {
+    sent: { whales: ["0xaa"] },
+    leader: "For",
+  });
+  assert.deepStrictEqual(store.getDelegateProfile("other", ALICE), {
+    profile: { address: ALICE },
+    builtAt: 6,
+  });
+  assert.deepStrictEqual(fs.readdirSync(path.join(cacheDir, "other")), [
+    "notes.txt",
+  ]);
+  assert.ok(!fs.existsSync(path.join(cacheDir, "ens-names.json")));
+});
+
+test("importJSONCache keeps the snapshot of a first-version proposal cache", async () => {
+  const cacheDir = path.join(dir, "baseline-cache");
+  fs.mkdirSync(cacheDir);
+  const file = path.join(cacheDir, "proposal-8.json");
+  fs.writeFileSync(
+    file,
+    JSON.stringify({
+      timestamp: 0,
+      data: {
+        votes: [
+          {
+            delegate: `<span class="ens-name">alice.eth</span> <span class="address">(${ALICE})</span>`,
+            vote: "For",
+            votingPower: "100.0",
+            weight: "100.0",
+            timestamp: "1/1/2025, 12:00:00 AM",
+            reason: "",
+          },
+        ],
+        delegateSnapshot: [
+          {
+            address: ALICE,
+            expectedVotingPower: 90,
+            actualVotingPower: 100,
+            delegations: 3,
+            onChainVotes: 1,
+            rank: 1,
+            currentRank: 1,
+          },
+        ],
+      },
+    })
+  );
+
+  assert.strictEqual(await importJSONCache(store, cacheDir, "ens"), 1);
+  assert.ok(!fs.existsSync(file));
+  assert.deepStrictEqual(store.getProposalVotes("ens", "8"), []);
+  assert.strictEqual(
+    store.getDelegateSnapshot("ens", "8")[0].actualVotingPower,
+    100
+  );
+  // Nothing is left to retry on the next startup
+  assert.strictEqual(await importJSONCache(store, cacheDir, "ens"), 0);
+});
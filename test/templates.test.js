@@ -0,0 +1,227 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  html,
+  escapeHtml,
+  pageUrl,
+  generateVoteRow,
+  generateNotVotedTable,
+  renderProposalPage,
+  renderProposalsPage,
+  renderMarkdown,
+  renderReasonsPage,
+  renderComparePage,
+} = require("../templates");
+const fixture = require("./fixtures/malicious-votes.json");
+
+const stats = {
+  totalVotes: 3,
+  forCount: 1,
+  againstCount: 1,
+  abstainCount: 1,
+  forVotes: 1500,
+  againstVotes: 250.5,
+  abstainVotes: 42,
+  requiredQuorum: 1000000,
+  quorumBlock: 21723990,
+  quorumSource: "governor",
+  quorumVotes: 1542,
+  hasReachedQuorum: false,
+  votesNeededForQuorum: 998458,
+};
+
+// Markup an attacker could smuggle in through reasons, ENS names or query params
+const INJECTED = [
+  "<script>alert",
+  "<img src=x",
+  "<iframe",
+  '" onerror="',
+  "' onmouseover='",
+  '"><script>',
+];
+
+function assertNoInjection(output) {
+  INJECTED.forEach((fragment) => {
+    assert.ok(
+      !output.includes(fragment),
+      `rendered output contains unescaped ${fragment}`
+    );
+  });
+}
+
+function renderFixturePage(overrides = {}) {
+  return String(
+    renderProposalPage({
+      dao: fixture.dao,
+      daos: [fixture.dao],
+      proposalId: fixture.proposalId,
+      rpcUrl: fixture.rpcUrl,
+      rpcStatus: { active: true, healthyCount: 1, endpoints: [{}] },
+      viewFilter: "all",
+      sortBy: "time",
+      sortDir: "desc",
+      filters: {
+        search: fixture.votes[0].reason,
+        minWeight: null,
+        maxWeight: null,
+        limit: null,
+      },
+      pagination: {
+        page: 1,
+        pageCount: 1,
+        total: fixture.votes.length,
+        limit: 50,
+      },
+      data: { votes: fixture.votes, scanStatus: { gaps: [] } },
+      stats,
+      timeline: {
+        snapshotBlock: 21723990,
+        requiredQuorum: 1000000,
+        quorumSource: "governor",
+        quorumReached: null,
+        points: [],
+      },
+      tableData: fixture.votes,
+      ...overrides,
+    })
+  );
+}
+
+test("escapeHtml escapes every markup character", () => {
+  assert.strictEqual(
+    escapeHtml(`<a href="x" title='y'>&\`</a>`),
+    "&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&#96;&lt;/a&gt;"
+  );
+});
+
+test("html escapes interpolations but keeps nested templates", () => {
+  const inner = html`<b>${"<i>"}</b>`;
+  assert.strictEqual(
+    String(html`<p>${inner}${"<br>"}${null}${false}${[1, "<2>"]}</p>`),
+    "<p><b>&lt;i&gt;</b>&lt;br&gt;1&lt;2&gt;</p>"
+  );
+});
+
+test("pageUrl encodes query parameters", () => {
+  assert.strictEqual(
+    pageUrl("/", { proposal: "1&view=x", rpc: "http://a/?b=c", view: "" }),
+    "/?proposal=1%26view%3Dx&rpc=http%3A%2F%2Fa%2F%3Fb%3Dc"
+  );
+});
+
+test("vote rows keep malicious reasons inside data-reason", () => {
+  fixture.votes.forEach((vote) => {
+    const row = String(generateVoteRow(vote, fixture.dao));
+    assertNoInjection(row);
+    assert.ok(row.includes(`data-reason="${escapeHtml(vote.reason)}"`));
+    assert.ok(!row.includes("onclick"));
+  });
+});
+
+test("avatars only render for https URLs", () => {
+  const row = String(generateVoteRow(fixture.votes[2], fixture.dao));
+  assert.ok(!row.includes("javascript:"));
+  assert.ok(!row.includes("<img"));
+});
+
+test("proposal page escapes votes, ENS names, DAO profiles and query parameters", () => {
+  const page = renderFixturePage();
+  assertNoInjection(page);
+  assert.ok(!page.includes("onclick="));
+  assert.ok(!page.includes("<style>"));
+  assert.strictEqual(page.match(/<script/g).length, 1);
+  assert.ok(page.includes('<script src="/static/dashboard.js"></script>'));
+  assert.ok(page.includes(escapeHtml(fixture.votes[0].ensName)));
+});
+
+test("not-voted view escapes resolved ENS names", () => {
+  const delegates = fixture.votes.map((vote) => ({
+    address: vote.voter,
+    actualVotingPower: 1000,
+    identity: { address: vote.voter, name: vote.ensName, avatar: vote.avatar },
+  }));
+
+  assertNoInjection(String(generateNotVotedTable(delegates, fixture.dao)));
+  assertNoInjection(
+    renderFixturePage({ viewFilter: "notvoted", tableData: delegates })
+  );
+});
+
+test("proposal list escapes titles", () => {
+  const page = String(
+    renderProposalsPage({
+      dao: fixture.dao,
+      rpcUrl: fixture.rpcUrl,
+      proposals: [
+        {
+          proposalId: fixture.proposalId,
+          proposer: fixture.votes[0].voter,
+          title: "[EP 1] <script>alert('title')</script>",
+          startBlock: 1,
+          endBlock: 2,
+          state: "Active",
+        },
+      ],
+    })
+  );
+  assertNoInjection(page);
+  assert.ok(page.includes("&lt;script&gt;alert(&#39;title&#39;)"));
+});
+
+test("reason Markdown renders formatting but keeps markup and scripts inert", () => {
+  assert.ok(
+    String(renderMarkdown("**a** *b* `<c>`")).includes(
+      "<strong>a</strong> <em>b</em> <code>&lt;c&gt;</code>"
+    )
+  );
+  const links = String(
+    renderMarkdown("[ok](https://example.com) [bad](javascript:alert(1))")
+  );
+  assert.ok(links.includes('href="https://example.com"'));
+  assert.ok(!links.includes('href="javascript:'));
+
+  const page = String(
+    renderReasonsPage({
+      dao: fixture.dao,
+      proposalId: fixture.proposalId,
+      rpcUrl: fixture.rpcUrl,
+      reasons: fixture.votes,
+      total: fixture.votes.length,
+      filters: {
+        search: fixture.votes[0].reason,
+        voteFilter: "all",
+        sortBy: "weight",
+        sortDir: "desc",
+      },
+    })
+  );
+  assertNoInjection(page);
+  assert.ok(!page.includes("<script"));
+});
+
+test("proposal comparison escapes reasons, ENS names and proposal IDs", () => {
+  const [first, second, third] = fixture.votes;
+  const page = String(
+    renderComparePage({
+      dao: fixture.dao,
+      proposalId: fixture.proposalId,
+      otherId: fixture.votes[0].reason,
+      rpcUrl: fixture.rpcUrl,
+      comparison: {
+        changed: [{ voter: first.voter, first, second: first }],
+        abstained: [],
+        onlyFirst: [{ voter: second.voter, first: second, second: null }],
+        onlySecond: [{ voter: third.voter, first: null, second: third }],
+        turnout: {
+          first: { voters: 2, weight: 1500 },
+          second: { voters: 2, weight: 1000 },
+          change: { voters: 0, weight: -500 },
+        },
+      },
+    })
+  );
+  assertNoInjection(page);
+  assert.ok(!page.includes("<script"));
+  assert.ok(page.includes("Abstained in One (0)"));
+  assert.ok(page.includes("-500.00"));
+});